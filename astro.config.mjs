@@ -7,6 +7,8 @@ import { pluginLineNumbers } from '@expressive-code/plugin-line-numbers';
 import starWarp from '@inox-tools/star-warp';
 import starlightContextualMenu from 'starlight-contextual-menu';
 import { pluginLink } from 'expressive-code-links';
+import llIndex from './src/plugins/ll-index.js';
+import { pluginApiTooltips, pluginApiLinks } from './src/plugins/api-symbols.js';
 
 
 
@@ -52,6 +54,9 @@ export default defineConfig({
                     { label: 'Standard Library', autogenerate: { directory: 'reference/library' } },
                     { label: 'Events', slug: 'reference/events' },
                     { label: 'Constants', slug: 'reference/constants' },
+                    { label: 'Bitmask Decoder', slug: 'reference/bitmasks' },
+                    { label: "What's New", slug: 'reference/whats-new' },
+                    { label: 'API History', slug: 'reference/api-history' },
                 ],
             },
             { label: 'Features', collapsed: true, autogenerate: { directory: 'features' } },
@@ -60,15 +65,22 @@ export default defineConfig({
         ],
         expressiveCode: {
             themes: ['github-dark', 'github-light'],
-            plugins: [pluginLineNumbers(), pluginLink()],
+            // Discouraged SLua calls, see update-grammar.js, the removed and deprecated ones are already styled as `invalid`
+            customizeTheme: (theme) => {
+                theme.settings.push({
+                    scope: ['support.function.prefer-native', 'support.function.llcompat-only'],
+                    settings: { fontStyle: 'underline' },
+                });
+            },
+            plugins: [pluginLineNumbers(), pluginLink(), pluginApiTooltips(), pluginApiLinks()],
             defaultProps: {
                 showLineNumbers: false,
             },
             shiki: {
                 bundledLangs: [],
                 langs: [
-                    JSON.parse(await readFile('./src/data/slua_grammar.json', 'utf-8')),
-                    JSON.parse(await readFile('./src/data/lsl_grammar.json', 'utf-8')),
+                    JSON.parse(await readFile('./src/data/slua.tmLanguage.json', 'utf-8')),
+                    JSON.parse(await readFile('./src/data/lsl.tmLanguage.json', 'utf-8')),
                 ],
             },
         },
@@ -79,4 +91,7 @@ export default defineConfig({
             }),
         ],
     }), preact()],
+    vite: {
+        plugins: [llIndex()],
+    },
 });
\ No newline at end of file
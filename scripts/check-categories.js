@@ -0,0 +1,117 @@
+/*
+	Cross-references ll_categories.json with the LSL definitions and the category translations
+	- Missing: functions in lsl_definitions.yaml without categories, these never show up in LLTable or the category routes
+		- Categories are proposed for them, based on how similar their name and tooltip are to those of categorised functions
+	- Orphaned: entries of ll_categories.json whose function no longer exists, or is private and so isn't listed anywhere
+	- Untranslated: categories without a title in categories.en.json or a description in category_descriptions.en.json
+	- Unused: translated categories that no function belongs to
+	- Run with `--strict` to exit with a non-zero code if anything was reported
+*/
+
+import { readFile } from 'fs/promises';
+import { load } from 'js-yaml';
+
+const lslDefinitionsPath = 'src/data/lsl_definitions.yaml';
+const categoriesPath = 'src/data/ll_categories.json';
+const translationsPath = 'src/data/i18n/categories.en.json';
+const descriptionsPath = 'src/data/i18n/category_descriptions.en.json';
+
+const strict = process.argv.includes('--strict');
+
+const lsl = load(await readFile(lslDefinitionsPath, 'utf8'));
+const categories = JSON.parse(await readFile(categoriesPath, 'utf8'));
+const translations = JSON.parse(await readFile(translationsPath, 'utf8'));
+const descriptions = JSON.parse(await readFile(descriptionsPath, 'utf8'));
+
+// Function names are without their `ll` prefix, like in ll_categories.json
+const functions = Object.fromEntries(
+	Object.entries(lsl.functions)
+		.filter(([, func]) => !func.private)
+		.map(([name, func]) => [name.replace(/^ll/, ''), func])
+);
+
+
+// Similarity
+
+const StopWords = new Set(['the', 'a', 'an', 'of', 'to', 'is', 'in', 'and', 'or', 'for', 'if', 'it', 'on', 'by', 'be', 'as', 'at', 'this', 'that', 'with', 'from', 'are', 'returns', 'return', 'sets', 'gets', 'get', 'set', 'specified', 'value', 'object', 'script']);
+
+// Words of a function's name count double, e.g. `GetLinkName` → get, link, name
+function tokenize(name, func) {
+	const nameWords = name.split(/(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/).map(word => word.toLowerCase());
+	const tooltipWords = (func.tooltip || '').toLowerCase().match(/[a-z][a-z0-9]+/g) || [];
+	const weights = new Map();
+	for(const word of tooltipWords) {
+		if(!StopWords.has(word)) weights.set(word, (weights.get(word) || 0) + 1);
+	}
+	for(const word of nameWords) {
+		if(!StopWords.has(word)) weights.set(word, (weights.get(word) || 0) + 4);
+	}
+	return weights;
+}
+
+function cosineSimilarity(a, b) {
+	let dot = 0;
+	for(const [word, weight] of a) dot += weight * (b.get(word) || 0);
+	if(!dot) return 0;
+	const norm = weights => Math.sqrt([...weights.values()].reduce((sum, weight) => sum + weight * weight, 0));
+	return dot / (norm(a) * norm(b));
+}
+
+// The categories of the most similar categorised functions, weighted by how similar they are
+function proposeCategories(name) {
+	const tokens = tokenize(name, functions[name]);
+	const neighbours = Object.keys(categories)
+		.filter(other => other in functions && categories[other].length)
+		.map(other => ({ name: other, similarity: cosineSimilarity(tokens, tokenize(other, functions[other])) }))
+		.filter(({ similarity }) => similarity > 0)
+		.sort((a, b) => b.similarity - a.similarity)
+		.slice(0, 5);
+
+	const votes = {};
+	for(const { name, similarity } of neighbours) {
+		for(const category of categories[name]) votes[category] = (votes[category] || 0) + similarity;
+	}
+	const best = Math.max(0, ...Object.values(votes));
+	return {
+		categories: Object.entries(votes).filter(([, vote]) => vote >= best * 0.5).sort((a, b) => b[1] - a[1]).map(([category]) => category),
+		neighbours: neighbours.map(({ name }) => name),
+	};
+}
+
+
+// Checks
+
+const missing = Object.keys(functions).filter(name => !categories[name]?.length);
+const orphaned = Object.keys(categories).filter(name => !(name in functions));
+
+const usedCategories = new Set(Object.values(categories).flat());
+const untranslated = [...usedCategories].filter(category => !(category in translations)).sort();
+const undescribed = [...usedCategories].filter(category => !(category in descriptions)).sort();
+const unused = Object.keys(translations).filter(category => !usedCategories.has(category)).sort();
+
+let issues = 0;
+function section(title, lines) {
+	if(!lines.length) return;
+	issues += lines.length;
+	console.log(`${title} (${lines.length}):`);
+	for(const line of lines) console.log(`  - ${line}`);
+	console.log('');
+}
+
+section('Functions without categories', missing.map(name => {
+	const { categories: proposed, neighbours } = proposeCategories(name);
+	if(!proposed.length) return `${name}, no similar categorised functions`;
+	return `${name}, proposed: ${JSON.stringify(proposed)} (similar to ${neighbours.join(', ')})`;
+}));
+section('Orphaned entries of ll_categories.json', orphaned.map(name => `${name}: ${JSON.stringify(categories[name])}${lsl.functions[`ll${name}`]? ', private in the LSL definitions' : ''}`));
+section('Categories missing from categories.en.json', untranslated);
+section('Categories missing from category_descriptions.en.json', undescribed);
+section('Translated categories without functions', unused);
+
+if(!issues) {
+	console.log('ll_categories.json is consistent with the LSL definitions and translations');
+}
+else {
+	console.log(`${issues} category issues`);
+	if(strict) process.exitCode = 1;
+}
@@ -0,0 +1,43 @@
+/*
+	Semantic diff between two revisions of the LSL definitions, instead of reviewing the raw YAML/JSON diff
+	- `bun ./scripts/diff-definitions.js [before] [after]`, each either a YAML/JSON file or a git revision of lsl_definitions.yaml, e.g. `HEAD~1`
+		- Defaults to the converted lsl_definitions.json against lsl_definitions.yaml, i.e. the changes a sync hasn't converted yet
+	- Reports added and removed functions, events and constants, signature, sleep and energy changes, deprecations, constant values and tooltip edits
+	- Prints Markdown, or JSON with `--json`, see scripts/lib/changelog.js for its shape
+*/
+
+import { readFile, access } from 'fs/promises';
+import { execFileSync } from 'child_process';
+import { load } from 'js-yaml';
+import { diffDefinitions, renderChangelog } from './lib/changelog.js';
+
+const lslDefinitionsPath = 'src/data/lsl_definitions.yaml';
+const lslDefinitionsJsonPath = 'src/data/lsl_definitions.json';
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const [beforeSource = lslDefinitionsJsonPath, afterSource = lslDefinitionsPath] = args.filter(arg => !arg.startsWith('--'));
+
+async function fileExists(filePath) {
+	try {
+		await access(filePath);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+// JSON is valid YAML, so both are loaded the same way
+async function loadDefinitions(source) {
+	if(await fileExists(source)) return load(await readFile(source, 'utf8'));
+	try {
+		return load(execFileSync('git', ['show', `${source}:${lslDefinitionsPath}`], { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'ignore'] }));
+	} catch {
+		console.error(`Neither a file nor a git revision: ${source}`);
+		process.exit(1);
+	}
+}
+
+const diff = diffDefinitions(await loadDefinitions(beforeSource), await loadDefinitions(afterSource));
+if(json) console.log(JSON.stringify(diff, null, '\t'));
+else console.log(renderChangelog(diff));
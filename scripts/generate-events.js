@@ -0,0 +1,147 @@
+/*
+	Generates the events reference from the synthesized SLua event definitions
+	- Every event gets its SLua handler, as registered through LLEvents:on, side by side with the LSL handler
+	- Events whose arguments differ in shape from LSL (e.g. `{DetectedEvent}` instead of the number of touches) are flagged
+	- LSL events without an SLua counterpart are listed at the end, see RemovedEvents
+	- Since/changed badges come from the API history, see scripts/lib/history.js
+	- Only the generated blocks of src/content/docs/reference/events.mdx are refreshed, the rest of the page is hand-written
+*/
+
+import { readFile, writeFile } from 'fs/promises';
+import { load } from 'js-yaml';
+import { RemovedEvents, convertType } from '../src/data/lsl_to_slua.js';
+import { escapeText, refreshPage } from './lib/pages.js';
+import { historyBadges } from './lib/history.js';
+
+const lslDefinitionsPath = 'src/data/lsl_definitions.yaml';
+const sluaDefinitionsPath = 'src/data/slua_definitions.yaml';
+const eventsPagePath = 'src/content/docs/reference/events.mdx';
+const apiHistoryPath = 'src/data/api_history.json';
+
+const lsl = load(await readFile(lslDefinitionsPath, 'utf8'));
+const slua = load(await readFile(sluaDefinitionsPath, 'utf8'));
+const history = JSON.parse(await readFile(apiHistoryPath, 'utf8'));
+
+const constantNames = new Set(Object.keys(slua.constants));
+
+
+// Event arguments are either a map of name to definition (SLua) or a list of single entry maps (LSL)
+function eventArguments(event) {
+	const args = event?.arguments;
+	if(!args) return [];
+	const entries = Array.isArray(args)? args.map(arg => Object.entries(arg).pop()) : Object.entries(args);
+	return entries.map(([name, definition]) => ({ name, ...definition }));
+}
+
+// Lists how the arguments of the SLua handler differ from those of the LSL handler, names aside
+function shapeDifferences(sluaArgs, lslArgs) {
+	const differences = [];
+	const count = Math.max(sluaArgs.length, lslArgs.length);
+	for(let index = 0; index < count; index++)
+	{
+		const sluaArg = sluaArgs[index];
+		const lslArg = lslArgs[index];
+		if(!lslArg) differences.push(`\`${sluaArg.name}: ${sluaArg.type}\` has no LSL counterpart`);
+		else if(!sluaArg) differences.push(`\`${lslArg.type} ${lslArg.name}\` has no SLua counterpart`);
+		else if(convertType(lslArg.type) !== sluaArg.type) differences.push(`\`${sluaArg.name}: ${sluaArg.type}\` instead of \`${lslArg.type} ${lslArg.name}\``);
+	}
+	return differences;
+}
+
+function sluaHandler(name, args) {
+	return [
+		`LLEvents:on("${name}", function(${args.map(arg => `${arg.name}: ${arg.type}`).join(', ')})`,
+		'\t...',
+		'end)',
+	].join('\n');
+}
+
+function lslHandler(name, args) {
+	return [
+		`${name}(${args.map(arg => `${arg.type} ${arg.name}`).join(', ')})`,
+		'{',
+		'\t...',
+		'}',
+	].join('\n');
+}
+
+
+// Generated blocks
+
+function blockEvent(name, event) {
+	const sluaArgs = eventArguments(event);
+	const lslArgs = eventArguments(lsl.events[name]);
+	const differences = lsl.events[name]? shapeDifferences(sluaArgs, lslArgs) : [];
+	const lines = [`## ${name}`, ''];
+
+	const badges = [
+		...(differences.length? ['<Badge text="Differs from LSL" variant="caution" />'] : []),
+		...historyBadges(history.events[name]),
+	];
+	if(badges.length) lines.push(badges.join(' '), '');
+
+	if(event.tooltip?.trim()) lines.push(escapeText(event.tooltip, constantNames), '');
+
+	if(lsl.events[name]) lines.push(
+		'<Comparison>',
+		'\t<Fragment slot="left">',
+		'```slua title="SLua"', sluaHandler(name, sluaArgs), '```',
+		'\t</Fragment>',
+		'\t<Fragment slot="right">',
+		'```lsl title="LSL"', lslHandler(name, lslArgs), '```',
+		'\t</Fragment>',
+		'</Comparison>',
+		'',
+	);
+	else lines.push('```slua title="SLua"', sluaHandler(name, sluaArgs), '```', '');
+
+	if(sluaArgs.length) {
+		lines.push('### Arguments');
+		for(const arg of sluaArgs) {
+			const tooltip = arg.tooltip?.trim();
+			lines.push(`- \`${arg.name}: ${arg.type}\`${tooltip ? ` — ${escapeText(tooltip, constantNames).replace(/\n\n/g, ' ')}` : ''}`);
+		}
+		lines.push('');
+	}
+
+	if(differences.length) lines.push(
+		':::note[Differs from LSL]',
+		...differences.map(difference => `- ${difference}`),
+		':::',
+		'',
+	);
+
+	return lines.join('\n').trim();
+}
+
+function blockRemovedEvents() {
+	const removed = Object.entries(lsl.events)
+		.filter(([name, event]) => !(name in slua.events) && !event.private)
+		.map(([name, event]) => `- \`${name}\` — ${RemovedEvents[name] || (event.deprecated? 'Deprecated in LSL' : 'Not available in SLua')}`);
+	if(!removed.length) return '';
+	return ['## Not available in SLua', '', 'These LSL events have no SLua counterpart.', '', ...removed].join('\n');
+}
+
+function blockImports() {
+	return [
+		`import { Badge } from '@astrojs/starlight/components';`,
+		`import Comparison from '@components/Comparison.astro';`,
+	].join('\n');
+}
+
+function blockEvents() {
+	return [
+		...Object.entries(slua.events).map(([name, event]) => blockEvent(name, event)),
+		blockRemovedEvents(),
+	].filter(Boolean).join('\n\n');
+}
+
+
+const page = await readFile(eventsPagePath, 'utf8');
+const refreshed = refreshPage(page, [
+	['imports', blockImports()],
+	['events', blockEvents(), 'end'],
+]);
+
+if(refreshed !== page) await writeFile(eventsPagePath, refreshed, 'utf8');
+console.log(`Events: ${Object.keys(slua.events).length} documented, ${refreshed === page? 'page unchanged' : 'page updated'}`);
@@ -1,12 +1,195 @@
-import { readFile, writeFile, mkdir, access, unlink } from 'fs/promises';
-import { load, dump } from 'js-yaml';
+/*
+	Generates a reference page for every ll.* function from the synthesized SLua definitions
+	- Pages are written to src/content/docs/reference/library/ll/<Name>.mdx
+	- Generated content lives between `@generated <block>` and `@end <block>` marker comments
+		- Only those blocks are refreshed, anything outside of them (and the frontmatter) is hand-written and kept as-is
+	- Pages of functions that no longer exist are removed, unless they contain hand-written content
+*/
 
+import { readFile, writeFile, readdir, mkdir, access, unlink } from 'fs/promises';
+import { load } from 'js-yaml';
+import { RemovedFunctions, FunctionTraits } from '../src/data/lsl_to_slua.js';
+import { escapeText, refreshPage, hasHandwrittenContent } from './lib/pages.js';
+import { historyBadges } from './lib/history.js';
 
+const sluaDefinitionsPath = 'src/data/slua_definitions.yaml';
+const categoriesPath = 'src/data/ll_categories.json';
+const translationsPath = 'src/data/i18n/categories.en.json';
+const apiHistoryPath = 'src/data/api_history.json';
+const stubsPath = 'src/content/docs/reference/library/ll';
 
+const slua = load(await readFile(sluaDefinitionsPath, 'utf8'));
+const categories = JSON.parse(await readFile(categoriesPath, 'utf8'));
+const translations = JSON.parse(await readFile(translationsPath, 'utf8'));
+const history = JSON.parse(await readFile(apiHistoryPath, 'utf8'));
 
+const constantNames = new Set(Object.keys(slua.constants));
 
 
+async function fileExists(filePath) {
+	try {
+		await access(filePath);
+		return true;
+	} catch {
+		return false;
+	}
+}
 
+function formatSeconds(seconds) {
+	return `${seconds} ${seconds === 1 ? 'second' : 'seconds'}`;
+}
 
 
+// Generated blocks
 
+// Only the components the page uses, `content` being the generated blocks and any hand-written content
+const Components = {
+	Badge: `import { Badge } from '@astrojs/starlight/components';`,
+	Comparison: `import Comparison from '@components/Comparison.astro';`,
+	WikiAttribution: `import WikiAttribution from '@components/WikiAttribution.astro';`,
+};
+
+function blockImports(content) {
+	return Object.entries(Components)
+		.filter(([component]) => new RegExp(`<${component}\\b`).test(content))
+		.map(([, line]) => line)
+		.join('\n');
+}
+
+function blockSummary(name, ll, llcompat) {
+	const func = ll || llcompat;
+	const lines = [];
+
+	const badges = [
+		...(func.traits || []).map(trait => {
+			const { label, variant, tooltip } = FunctionTraits[trait];
+			return `<Badge text="${label}" variant="${variant}" title="${tooltip}" />`;
+		}),
+		...historyBadges(history.functions[`ll.${name}`]),
+	];
+	if(badges.length) lines.push(badges.join(' '), '');
+
+	// Show the LSL compatible signature side by side, if SLua's differs from it
+	if(ll && ll.type.replace(/^function ll\./, '') !== llcompat.type.replace(/^function llcompat\./, '')) lines.push(
+		'<Comparison>',
+		'\t<Fragment slot="left">',
+		'```slua title="ll"', ll.type, '```',
+		'\t</Fragment>',
+		'\t<Fragment slot="right">',
+		'```slua title="llcompat"', llcompat.type, '```',
+		'\t</Fragment>',
+		'</Comparison>',
+		'',
+	);
+	else lines.push('```slua', func.type, '```', '');
+	if(func.tooltip?.trim()) lines.push(escapeText(func.tooltip, constantNames), '');
+
+	if(func.arguments.length) {
+		lines.push('## Arguments');
+		for(const arg of func.arguments) {
+			const [argumentName, argumentDefinition] = Object.entries(arg).pop();
+			const tooltip = argumentDefinition.tooltip?.trim();
+			const note = argumentDefinition['one-based'] ? ' (1-based index)' : '';
+			lines.push(`- \`${argumentName}: ${argumentDefinition.type}\`${note}${tooltip ? ` — ${escapeText(tooltip, constantNames).replace(/\n\n/g, ' ')}` : ''}`);
+		}
+		lines.push('');
+	}
+
+	if(func.return) lines.push('## Returns', `\`${func.return}\`${func['one-based'] ? ' (1-based index)' : ''}`, '');
+
+	if(func.sleep) lines.push(
+		':::caution[Forced Delay]',
+		`This function causes the script to sleep for ${formatSeconds(func.sleep)}.`,
+		':::',
+		'',
+	);
+
+	if(func.duplicates) lines.push(
+		':::tip[Duplicate Functionality]',
+		`This function duplicates functionality available natively through \`${func.duplicates}\`, which may be more idiomatic or offer better performance.`,
+		':::',
+		'',
+	);
+
+	if(!ll) lines.push(
+		':::danger[Removed]',
+		`This function is not available in \`ll\`${name in RemovedFunctions ? ` — ${RemovedFunctions[name]}` : ''}. It can still be called through \`llcompat.${name}\` instead.`,
+		':::',
+		'',
+	);
+
+	const functionCategories = categories[name];
+	if(functionCategories?.length) lines.push(
+		`**Categories:** ${functionCategories.map(category => translations[category] || category).join(', ')}`,
+		'',
+	);
+
+	return lines.join('\n').trim();
+}
+
+function blockAttribution(name) {
+	return `<WikiAttribution article="Ll${name}" />`;
+}
+
+
+// Page assembly
+
+function createFrontmatter(name) {
+	return [
+		'---',
+		`title: ll.${name}`,
+		`description: ll.${name} function in SLua`,
+		'sidebar:',
+		'    hidden: true',
+		'---',
+		'',
+	].join('\n');
+}
+
+
+await mkdir(stubsPath, { recursive: true });
+
+const llFunctions = Object.fromEntries(slua.libraries.ll.functions.map(func => [func.name, func]));
+const llcompatFunctions = Object.fromEntries(slua.libraries.llcompat.functions.map(func => [func.name, func]));
+
+let created = 0;
+let updated = 0;
+for(const name of Object.keys(llcompatFunctions))
+{
+	const filePath = `${stubsPath}/${name}.mdx`;
+	const exists = await fileExists(filePath);
+	const page = exists? await readFile(filePath, 'utf8') : createFrontmatter(name);
+	const summary = blockSummary(name, llFunctions[name], llcompatFunctions[name]);
+	const attribution = blockAttribution(name);
+	const handwritten = page.replace(/\{\/\* @generated (\S+) \*\/\}[\s\S]*?\{\/\* @end \1 \*\/\}/g, '');
+	const refreshed = refreshPage(page, [
+		['imports', blockImports([summary, attribution, handwritten].join('\n'))],
+		['summary', summary],
+		['attribution', attribution, 'end'],
+	]);
+
+	if(refreshed === page) continue;
+	await writeFile(filePath, refreshed, 'utf8');
+	if(exists) updated++;
+	else created++;
+}
+
+// Clean up pages of functions that no longer exist
+let removed = 0;
+for(const file of await readdir(stubsPath))
+{
+	if(!file.endsWith('.mdx')) continue;
+	const name = file.replace(/\.mdx$/, '');
+	if(name in llcompatFunctions) continue;
+
+	const filePath = `${stubsPath}/${file}`;
+	if(hasHandwrittenContent(await readFile(filePath, 'utf8'))) {
+		console.warn(`Keeping ${filePath}, ll.${name} no longer exists but the page has hand-written content`);
+		continue;
+	}
+
+	await unlink(filePath);
+	removed++;
+}
+
+console.log(`Function pages: ${created} created, ${updated} updated, ${removed} removed`);
@@ -0,0 +1,142 @@
+/*
+	Semantic diff between two revisions of the LSL definitions
+	- Used by the sync pipeline for its changelog, by scripts/diff-definitions.js and for the What's new page (src/data/definitions_changelog.json)
+	- Each section lists the added and removed names, and for changed definitions what changed about them, e.g.
+		`{ name: 'llSay', changes: [{ kind: 'sleep', before: 0, after: 0.1 }] }`
+*/
+
+export const Sections = {
+	functions: 'Functions',
+	events: 'Events',
+	constants: 'Constants',
+};
+
+// In the order they are listed in the Markdown
+export const ChangeKinds = {
+	signature: 'Signature changes',
+	deprecated: 'Deprecation changes',
+	value: 'Value changes',
+	type: 'Type changes',
+	sleep: 'Sleep changes',
+	energy: 'Energy changes',
+	flags: 'Flag changes',
+	tooltip: 'Tooltip edits',
+};
+
+// Keys that are compared by their own kind of change, anything else counts as a flag, e.g. `pure` or `bool-semantics`
+// `func-id` is only an internal number, so it is ignored, `mono-sleep` is a sleep change in the Mono runtime
+const ComparedKeys = new Set(['arguments', 'return', 'tooltip', 'deprecated', 'sleep', 'mono-sleep', 'energy', 'value', 'type', 'func-id']);
+
+// Arguments are a list of single-key objects, e.g. `[{ Text: { type: 'string', tooltip: '...' } }]`
+function argumentList(definition) {
+	return (definition.arguments || []).map(argument => {
+		const [name, { type, tooltip }] = Object.entries(argument)[0];
+		return { name, type, tooltip: tooltip || '' };
+	});
+}
+
+// LSL-style signatures, e.g. `integer llListFindList(list Source, list Find)`
+export function signature(name, definition) {
+	const args = argumentList(definition).map(({ name, type }) => `${type} ${name}`).join(', ');
+	return `${definition.return? `${definition.return} ` : ''}${name}(${args})`;
+}
+
+function flags(definition) {
+	return Object.keys(definition).filter(key => !ComparedKeys.has(key) && definition[key]).sort();
+}
+
+function diffDefinition(section, name, previous, current) {
+	const changes = [];
+	const change = (kind, before, after, extra = {}) => changes.push({ kind, before, after, ...extra });
+
+	if(section !== 'constants') {
+		const before = signature(name, previous);
+		const after = signature(name, current);
+		if(before !== after) change('signature', before, after);
+	}
+	if(!!previous.deprecated !== !!current.deprecated) change('deprecated', !!previous.deprecated, !!current.deprecated);
+	if(section === 'constants') {
+		if(previous.value !== current.value) change('value', previous.value, current.value);
+		if(previous.type !== current.type) change('type', previous.type, current.type);
+	}
+	if(section === 'functions') {
+		if(previous.sleep !== current.sleep) change('sleep', previous.sleep, current.sleep);
+		if(previous['mono-sleep'] !== current['mono-sleep']) change('sleep', previous['mono-sleep'], current['mono-sleep'], { mono: true });
+		if(previous.energy !== current.energy) change('energy', previous.energy, current.energy);
+	}
+
+	const previousFlags = flags(previous);
+	const currentFlags = flags(current);
+	if(previousFlags.join() !== currentFlags.join()) change('flags', previousFlags, currentFlags);
+
+	if((previous.tooltip || '') !== (current.tooltip || '')) change('tooltip', previous.tooltip || '', current.tooltip || '');
+	const previousArguments = Object.fromEntries(argumentList(previous).map(argument => [argument.name, argument.tooltip]));
+	for(const { name: argument, tooltip } of argumentList(current)) {
+		if(argument in previousArguments && previousArguments[argument] !== tooltip) change('tooltip', previousArguments[argument], tooltip, { argument });
+	}
+
+	return changes;
+}
+
+// Either revision may be missing, e.g. on the first sync, in which case everything is added or removed
+export function diffDefinitions(before, after) {
+	return Object.fromEntries(Object.keys(Sections).map(section => {
+		const previous = before?.[section] || {};
+		const current = after?.[section] || {};
+		return [section, {
+			added: Object.keys(current).filter(name => !(name in previous)).sort(),
+			removed: Object.keys(previous).filter(name => !(name in current)).sort(),
+			changed: Object.keys(current)
+				.filter(name => name in previous)
+				.map(name => ({ name, changes: diffDefinition(section, name, previous[name], current[name]) }))
+				.filter(({ changes }) => changes.length)
+				.sort((a, b) => a.name.localeCompare(b.name)),
+		}];
+	}));
+}
+
+export function isEmpty(diff) {
+	return Object.values(diff).every(({ added, removed, changed }) => !added.length && !removed.length && !changed.length);
+}
+
+function describeChange({ kind, before, after, argument, mono }) {
+	switch(kind) {
+		case 'signature': return `\`${before}\` → \`${after}\``;
+		case 'deprecated': return after? 'deprecated' : 'no longer deprecated';
+		case 'value':
+		case 'type': return `\`${before}\` → \`${after}\``;
+		case 'sleep': return `${before}s → ${after}s${mono? ' in Mono' : ''}`;
+		case 'energy': return `${before} → ${after}`;
+		case 'flags': return [
+			...after.filter(flag => !before.includes(flag)).map(flag => `+${flag}`),
+			...before.filter(flag => !after.includes(flag)).map(flag => `-${flag}`),
+		].join(', ');
+		case 'tooltip': return argument? `argument \`${argument}\`` : 'description';
+	}
+}
+
+// Markdown, so that it can go straight into the body of the auto-PR, tooltip edits are only named since the full text is in the JSON
+export function renderChangelog(diff) {
+	if(isEmpty(diff)) return 'No functions, events or constants were added, removed or changed.\n';
+
+	const names = names => names.map(name => `\`${name}\``).join(', ');
+	const lines = [];
+	for(const [section, title] of Object.entries(Sections)) {
+		const { added, removed, changed } = diff[section];
+		if(!added.length && !removed.length && !changed.length) continue;
+
+		lines.push(`### ${title}`, '');
+		if(added.length) lines.push(`- Added (${added.length}): ${names(added)}`);
+		if(removed.length) lines.push(`- Removed (${removed.length}): ${names(removed)}`);
+		for(const [kind, label] of Object.entries(ChangeKinds)) {
+			const entries = changed
+				.map(({ name, changes }) => ({ name, changes: changes.filter(change => change.kind === kind) }))
+				.filter(({ changes }) => changes.length);
+			if(!entries.length) continue;
+			lines.push(`- ${label} (${entries.length}):`);
+			for(const { name, changes } of entries) lines.push(`  - \`${name}\`: ${changes.map(describeChange).join('; ')}`);
+		}
+		lines.push('');
+	}
+	return lines.join('\n');
+}
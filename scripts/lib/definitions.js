@@ -0,0 +1,28 @@
+/*
+	Helpers for looking up entries in the synthesized SLua definitions
+*/
+
+// Lists of definitions can be grouped as `{ group, list }`, this flattens them into a single list
+export function flattenList(list) {
+	return (list || []).flatMap(item => 'list' in item? item.list : item);
+}
+
+// Finds every definition a full function name refers to, e.g. `type`, `math.abs`, `string.byte` or `vector.create`
+// These may live in a library, as methods of a type or as constructors of a type
+export function resolveDefinitions(slua, fullName) {
+	const [namespace, name] = fullName.includes('.')? fullName.split('.') : ['global', fullName];
+	const definitions = [];
+
+	const library = slua.libraries[namespace];
+	if(library) definitions.push(...flattenList(library.functions).filter(func => func.name === name));
+
+	const type = slua.types[namespace];
+	if(type) definitions.push(...flattenList(type.methods).filter(method => method.name === name));
+
+	// Constructors are named by how they are called, e.g. `vector`, `vector.create` or `tostring`
+	for(const type of Object.values(slua.types)) {
+		definitions.push(...flattenList(type.constructors).filter(constructor => constructor.name === fullName));
+	}
+
+	return definitions;
+}
@@ -0,0 +1,113 @@
+/*
+	Per-item history of the SLua API, recorded in src/data/api_history.json whenever the SLua definitions are synthesized
+	- Items are functions (e.g. `ll.Say`, `vector.lerp` or `LLEvents:on`), constants (e.g. `ACTIVE` or `math.pi`) and events (e.g. `touch_start`)
+	- Each item lists what happened to it and when: `[{ date, kind: 'added' | 'changed' | 'deprecated' | 'removed', before?, after? }]`
+	- Items without any history were there at the `baseline`, the date the history started being recorded
+*/
+
+import { flattenList } from './definitions.js';
+
+export const Sections = ['functions', 'constants', 'events'];
+
+// Overloads share a name, so their signatures are combined, e.g. both `table.insert`
+function addSignature(items, name, signature, extra = {}) {
+	const item = items[name] ||= { signature: '', ...extra };
+	item.signature = [item.signature, signature].filter(Boolean).sort().join('\n');
+}
+
+// `function vector.lerp(a: vector, b: vector, t: number): vector` → `vector.lerp`
+function functionName(type) {
+	return type?.match(/^function ([\w.:]+)\(/)?.[1];
+}
+
+// Event arguments are either a map of names or, for the LSL fallbacks, a list of single-key objects
+function eventSignature(name, event) {
+	const args = Array.isArray(event.arguments)
+		? event.arguments.map(argument => Object.entries(argument)[0])
+		: Object.entries(event.arguments || {});
+	return `${name}(${args.map(([argument, { type }]) => `${argument}: ${type}`).join(', ')})`;
+}
+
+// Flattens the SLua definitions into `{ functions, constants, events }`, each mapping names to `{ signature, deprecated? }`
+export function collectItems(slua) {
+	const items = { functions: {}, constants: {}, events: {} };
+
+	for(const [namespace, library] of Object.entries(slua.libraries)) {
+		if(namespace === 'llcompat') continue; // Mirrors LSL, whose changes are listed on the What's new page
+		for(const func of flattenList(library.functions)) {
+			const name = functionName(func.type);
+			if(name) addSignature(items.functions, name, func.type);
+		}
+		for(const constant of flattenList(library.constants)) {
+			addSignature(items.constants, namespace === 'global'? constant.name : `${namespace}.${constant.name}`, constant.type);
+		}
+	}
+
+	for(const [typeName, type] of Object.entries(slua.types)) {
+		if(type.private) continue;
+		for(const func of [...flattenList(type.constructors), ...flattenList(type.methods)]) {
+			const name = functionName(func.type);
+			if(name) addSignature(items.functions, name, func.type);
+		}
+		for(const [name, constant] of Object.entries(type.constants || {})) {
+			addSignature(items.constants, name, constant.type || typeName);
+		}
+	}
+
+	for(const [name, constant] of Object.entries(slua.constants)) {
+		if(constant.private) continue;
+		addSignature(items.constants, name, `${constant.type} = ${constant.value}`, { deprecated: !!constant.deprecated });
+	}
+
+	for(const [name, event] of Object.entries(slua.events)) {
+		addSignature(items.events, name, eventSignature(name, event));
+	}
+
+	return items;
+}
+
+// Records the differences between two revisions of the SLua definitions, returns null if there is nothing to record
+// Without a history yet, it starts at `date` as the baseline
+export function updateHistory(history, before, after, date) {
+	if(!history) return { baseline: date, ...Object.fromEntries(Sections.map(section => [section, {}])) };
+	if(!before) return null;
+
+	const previous = collectItems(before);
+	const current = collectItems(after);
+	let recorded = 0;
+	const record = (section, name, entry) => {
+		(history[section][name] ||= []).push({ date, ...entry });
+		recorded++;
+	};
+
+	for(const section of Sections) {
+		for(const [name, item] of Object.entries(current[section])) {
+			const previousItem = previous[section][name];
+			if(!previousItem) record(section, name, { kind: 'added' });
+			else {
+				if(previousItem.signature !== item.signature) record(section, name, { kind: 'changed', before: previousItem.signature, after: item.signature });
+				if(!previousItem.deprecated && item.deprecated) record(section, name, { kind: 'deprecated' });
+			}
+		}
+		for(const name of Object.keys(previous[section])) {
+			if(!(name in current[section])) record(section, name, { kind: 'removed' });
+		}
+		history[section] = Object.fromEntries(Object.entries(history[section]).sort(([a], [b]) => a.localeCompare(b)));
+	}
+
+	return recorded? history : null;
+}
+
+// Starlight badges for the generated reference pages, only the latest of each kind is shown
+export function historyBadges(entries = []) {
+	const latest = kind => entries.findLast(entry => entry.kind === kind);
+	const attribute = text => text.replace(/\n/g, '; ').replace(/"/g, `'`);
+	const added = latest('added');
+	const changed = latest('changed');
+	const deprecated = latest('deprecated');
+	return [
+		added && `<Badge text="Since ${added.date}" variant="success" title="Added to SLua on ${added.date}" />`,
+		changed && `<Badge text="Changed ${changed.date}" variant="note" title="${attribute(`Was: ${changed.before}`)}" />`,
+		deprecated && `<Badge text="Deprecated ${deprecated.date}" variant="caution" title="Deprecated on ${deprecated.date}" />`,
+	].filter(Boolean);
+}
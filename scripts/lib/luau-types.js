@@ -0,0 +1,127 @@
+/*
+	Helpers for working with Luau type expressions
+	- renderType/renderFunction turn the structured types of slua_syntax.json into type strings
+	- parseSignature reads the `function lib.name(a: T): R` strings of slua_definitions.yaml back into parameters and return type
+*/
+
+// Renders a structured type from slua_syntax.json, e.g. `{ kind: 'union', types: ['string', 'nil'] }` into `string?`
+export function renderType(type) {
+	if(type === undefined || type === '') return 'any';
+	if(typeof type === 'string') return type;
+
+	switch(type.kind)
+	{
+		case 'union': {
+			const types = type.types.map(type => {
+				const rendered = renderType(type);
+				return type?.kind === 'function'? `(${rendered})` : rendered;
+			});
+			const withoutNil = types.filter(type => type !== 'nil');
+			if(withoutNil.length === 1 && types.length === 2) return `${withoutNil[0]}?`;
+			return types.join(' | ');
+		}
+		case 'array': return `{${renderType(type.elementType)}}`;
+		case 'reference': return type.name;
+		case 'literal-union': return type.values.length? type.values.map(value => JSON.stringify(value)).join(' | ') : 'string';
+		case 'function': return `(${renderParameters(type.parameters)}) -> ${renderType(type.returnType)}`;
+		case 'table': return 'table';
+	}
+
+	return 'any';
+}
+
+export function renderParameters(parameters = []) {
+	return parameters
+		.filter(parameter => parameter.name !== 'self')
+		.map(parameter => {
+			if(parameter.variadic) return `...: ${renderType(parameter.type)}`;
+			return `${parameter.name}: ${renderType(parameter.type)}`;
+		})
+		.join(', ');
+}
+
+// Renders a function from slua_syntax.json as `function lib.name(a: T): R`, methods taking `self` use colon syntax
+// Overloads are rendered on their own line, same as in the hand-written definitions
+export function renderFunction(namespace, func) {
+	return [func, ...(func.overloads || [])]
+		.map(overload => {
+			const isMethod = overload.parameters?.[0]?.name === 'self';
+			const name = namespace? `${namespace}${isMethod? ':' : '.'}${overload.name}` : overload.name;
+			return `function ${name}(${renderParameters(overload.parameters)}): ${renderType(overload.returnType)}`;
+		})
+		.join('\n');
+}
+
+
+// Splits a type expression on a separator, ignoring anything nested within brackets
+export function splitTopLevel(text, separator) {
+	const parts = [];
+	let depth = 0;
+	let current = '';
+	for(let index = 0; index < text.length; index++)
+	{
+		const char = text[index];
+		if('({<['.includes(char)) depth++;
+		else if(')}>]'.includes(char) && text[index - 1] !== '-') depth--;
+
+		if(depth === 0 && text.startsWith(separator, index)) {
+			parts.push(current);
+			current = '';
+			index += separator.length - 1;
+			continue;
+		}
+		current += char;
+	}
+	parts.push(current);
+	return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Parses `function lib.name(a: T, b: U?, ...: V): R` into its parts, one entry per line for overloads
+export function parseSignature(signature) {
+	return signature.split('\n').map(line => {
+		const header = line.match(/^function\s+([\w.:]+)(?:<[^>]*>)?\(/);
+		if(!header) return null;
+
+		// Find the parenthesis closing the parameter list, parameters may contain function types themselves
+		let depth = 1;
+		let index = header[0].length;
+		for(; index < line.length && depth; index++)
+		{
+			if(line[index] === '(') depth++;
+			else if(line[index] === ')') depth--;
+		}
+
+		const parameters = splitTopLevel(line.substring(header[0].length, index - 1), ',').map(parameter => {
+			const [name, ...type] = splitTopLevel(parameter, ':');
+			let parameterType = type.join(': ') || 'any';
+			let variadic = name === '...';
+			if(parameterType.startsWith('...')) {
+				variadic = true;
+				parameterType = parameterType.substring(3);
+			}
+			return { name, type: parameterType, variadic };
+		});
+
+		const returnType = line.substring(index).replace(/^\s*:\s*/, '').trim() || '()';
+		return { name: header[1], parameters, returnType };
+	}).filter(Boolean);
+}
+
+
+// Normalises a type expression for comparison, sorting unions and pulling out optional-ness
+export function normalizeType(type) {
+	let text = type.replace(/\s+/g, '');
+	let optional = false;
+	if(text.endsWith('?')) {
+		optional = true;
+		text = text.substring(0, text.length - 1);
+	}
+
+	let types = splitTopLevel(text, '|');
+	if(types.includes('nil') && types.length > 1) {
+		optional = true;
+		types = types.filter(type => type !== 'nil');
+	}
+
+	return { type: types.sort().join('|'), optional };
+}
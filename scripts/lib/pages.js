@@ -0,0 +1,62 @@
+/*
+	Helpers for the generated documentation pages
+	- Generated content lives between `@generated <block>` and `@end <block>` marker comments
+	- Only those blocks are refreshed, anything outside of them (and the frontmatter) is hand-written and kept as-is
+*/
+
+// Tooltips come from the LSL definitions as plain text, so escape anything MDX would otherwise interpret
+// Known constants are wrapped in backticks instead
+export function escapeText(text, constantNames = new Set()) {
+	return text
+		.trim()
+		.split(/\\n|\n\s*\n/) // Literal \n and blank lines are paragraphs, other newlines are just wrapped text
+		.map(paragraph => paragraph
+			.trim()
+			.replace(/\s*\n\s*/g, ' ')
+			.split(/\b([A-Z][A-Z0-9_]+[A-Z0-9])\b/)
+			.map((part, index) => {
+				if(index % 2 && constantNames.has(part)) return '`' + part + '`';
+				return part
+					.replace(/[\\`*_[\]{}|#]/g, '\\$&')
+					.replace(/</g, '&lt;')
+					.replace(/>/g, '&gt;');
+			})
+			.join('')
+			.replace(/^([+-])/, '\\$1')
+		)
+		.filter(Boolean)
+		.join('\n\n');
+}
+
+export function wrapBlock(block, content) {
+	return `{/* @generated ${block} */}\n\n${content}\n\n{/* @end ${block} */}`;
+}
+
+export function blockPattern(block) {
+	return new RegExp(`\\{/\\* @generated ${block} \\*/\\}[\\s\\S]*?\\{/\\* @end ${block} \\*/\\}`);
+}
+
+// Replaces the generated blocks in place, new blocks are placed after the frontmatter or at the end of the page
+export function refreshPage(page, blocks) {
+	const frontmatter = page.match(/^---\n[\s\S]*?\n---\n/)?.[0] || '';
+	let body = page.substring(frontmatter.length);
+
+	const header = [];
+	const footer = [];
+	for(const [block, content, position] of blocks) {
+		const wrapped = wrapBlock(block, content);
+		if(blockPattern(block).test(body)) body = body.replace(blockPattern(block), () => wrapped);
+		else if(position === 'end') footer.push(wrapped);
+		else header.push(wrapped);
+	}
+
+	return [frontmatter.trim(), ...header, body.trim(), ...footer].filter(Boolean).join('\n\n') + '\n';
+}
+
+// Whether there is anything hand-written on the page besides the frontmatter and generated blocks
+export function hasHandwrittenContent(page) {
+	return !!page
+		.replace(/^---\n[\s\S]*?\n---\n/, '')
+		.replace(/\{\/\* @generated (\S+) \*\/\}[\s\S]*?\{\/\* @end \1 \*\/\}/g, '')
+		.trim();
+}
@@ -0,0 +1,104 @@
+/*
+	Syncs the LSL definitions and regenerates everything derived from them, in order
+	- Downloads lsl_definitions.yaml from secondlife/lsl-definitions, or copies a local file for offline use, e.g. `bun ./scripts/sync-definitions.js ../lsl-definitions/lsl_definitions.yaml`
+	- Then runs: convert, synthesize, validate, grammars and their tests, stubs, events and the category check
+		- `--strict` is passed on to the validation and the category check, so the sync fails on drift
+		- The differences to slua_syntax.json that are intended, e.g. the `LLEvents` handler types, are allow-listed by the validation
+	- Prints a changelog of the added, removed and changed functions, events and constants
+		- `--changelog <path>` also writes it to a Markdown file, which the sync workflow uses as the body of its PR
+		- Changes are recorded with the date in definitions_changelog.json, for the What's new page
+*/
+
+import { readFile, writeFile } from 'fs/promises';
+import { spawnSync } from 'child_process';
+import { load } from 'js-yaml';
+import { diffDefinitions, isEmpty, renderChangelog } from './lib/changelog.js';
+
+const lslDefinitionsPath = 'src/data/lsl_definitions.yaml';
+const definitionsChangelogPath = 'src/data/definitions_changelog.json';
+const lslDefinitionsURL = 'https://raw.githubusercontent.com/secondlife/lsl-definitions/main/lsl_definitions.yaml';
+
+const Steps = [
+	{ name: 'Convert', script: 'scripts/convert-definitions.js' },
+	{ name: 'Synthesize', script: 'scripts/synthesize-slua-defs.js' },
+	{ name: 'Validate', script: 'scripts/validate-slua-defs.js', strict: true },
+	{ name: 'Grammars', script: 'scripts/update-grammar.js' },
+	{ name: 'Grammar tests', script: 'scripts/test-grammars.js' },
+	{ name: 'Stubs', script: 'scripts/generate-stubs.js' },
+	{ name: 'Events', script: 'scripts/generate-events.js' },
+	{ name: 'Categories', script: 'scripts/check-categories.js', strict: true },
+];
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const changelogIndex = args.indexOf('--changelog');
+const changelogPath = changelogIndex !== -1? args[changelogIndex + 1] : null;
+const sourcePath = args.find((arg, index) => !arg.startsWith('--') && (changelogIndex === -1 || index !== changelogIndex + 1));
+
+if(changelogIndex !== -1 && !changelogPath) {
+	console.error('Missing path after --changelog');
+	process.exit(1);
+}
+
+async function readPrevious() {
+	try {
+		return load(await readFile(lslDefinitionsPath, 'utf8'));
+	} catch {
+		return null;
+	}
+}
+
+async function fetchDefinitions() {
+	if(sourcePath) {
+		console.log(`Reading LSL definitions from ${sourcePath}`);
+		return await readFile(sourcePath, 'utf8');
+	}
+	console.log(`Downloading LSL definitions from ${lslDefinitionsURL}`);
+	const response = await fetch(lslDefinitionsURL);
+	if(!response.ok) throw new Error(`Failed to download LSL definitions: ${response.status} ${response.statusText}`);
+	return await response.text();
+}
+
+
+const previous = await readPrevious();
+const content = await fetchDefinitions();
+
+// Don't replace the definitions with something that won't parse, e.g. an error page
+let current;
+try {
+	current = load(content);
+} catch(error) {
+	console.error(`Invalid LSL definitions: ${error.message}`);
+	process.exit(1);
+}
+if(!current?.functions || !current?.events || !current?.constants) {
+	console.error('Invalid LSL definitions: expected functions, events and constants');
+	process.exit(1);
+}
+await writeFile(lslDefinitionsPath, content, 'utf8');
+
+for(const { name, script, strict: passStrict } of Steps) {
+	console.log(`\n[${name}] ${script}`);
+	const { status } = spawnSync(process.execPath, [script, ...(strict && passStrict? ['--strict'] : [])], { stdio: 'inherit' });
+	if(status !== 0) {
+		console.error(`\n${name} failed, stopping the sync`);
+		process.exit(status || 1);
+	}
+}
+
+const diff = diffDefinitions(previous, current);
+const changelog = renderChangelog(diff);
+console.log(`\nChangelog\n\n${changelog}`);
+
+// Newest first, without a previous revision there is nothing meaningful to record
+if(previous && !isEmpty(diff)) {
+	const history = JSON.parse(await readFile(definitionsChangelogPath, 'utf8'));
+	history.unshift({ date: new Date().toISOString().slice(0, 10), ...diff });
+	await writeFile(definitionsChangelogPath, JSON.stringify(history, null, '\t') + '\n', 'utf8');
+	console.log(`Recorded the changes in ${definitionsChangelogPath}`);
+}
+
+if(changelogPath) {
+	await writeFile(changelogPath, changelog, 'utf8');
+	console.log(`Changelog written to ${changelogPath}`);
+}
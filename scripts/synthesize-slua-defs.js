@@ -4,79 +4,134 @@
 	- ll* functions are available in the `llcompat` library
 		- with exactly same signature/behavior as in LSL
 	- ll* functions are available in the `ll` library
-		- Signature adjusted for SLua, e.g. 1-based indices, boolean returns, etc.
-	- Some ll* functions are removed from SLua's `ll` library (see RemovedFunctions)
-	- Some ll* functions are duplicates of native Luau libraries (see DuplicateFunctions)
+		- Signature adjusted for SLua, e.g. 1-based indices, boolean returns, nil instead of -1, etc. (see adaptSignature)
+	- Some ll* functions are removed from SLua's `ll` library (see RemovedFunctions in src/data/lsl_to_slua.js)
+	- Some ll* functions are duplicates of native Luau libraries (see DuplicateFunctions in src/data/lsl_to_slua.js)
+	- The bit32, lljson, llbase64, vector and quaternion libraries are generated from slua_syntax.json (see syntaxFunctions and SyntaxOverrides)
+		- The vector and quaternion constructors are its global functions, e.g. `quaternion` and `toquaternion` (see syntaxGlobal)
+		- quaternion is only a class there, so its methods are all `extra`; coroutine isn't in there at all, so it stays hand-written
+	- Differences to the previously synthesized definitions are recorded in api_history.json (see scripts/lib/history.js)
+	- The grammars don't pick up new names by themselves, run update-grammar.js afterwards (sync-definitions.js does both)
 */
 
 import { readFile, writeFile, mkdir, access, unlink } from 'fs/promises';
 import { load, dump } from 'js-yaml';
+import { resolveDefinitions } from './lib/definitions.js';
+import { renderFunction, renderType } from './lib/luau-types.js';
+import { updateHistory } from './lib/history.js';
+import { RemovedFunctions, RemovedEvents, DuplicateFunctions, convertType, functionTraits } from '../src/data/lsl_to_slua.js';
 
 const lslDefinitionsPath = 'src/data/lsl_definitions.yaml';
 const sluaDefinitionsPath = 'src/data/slua_definitions.yaml';
+const sluaSyntaxPath = 'src/data/slua_syntax.json';
+const apiHistoryPath = 'src/data/api_history.json';
 
-// These functions were removed from SLua's ll.* for these reasons
-const RemovedFunctions = {
-	'SetTimerEvent': 'Conflicts with LLTimers',
-	'ResetTime': 'Conflicts with LLTimers',
-	'GetAndResetTime': 'Conflicts with LLTimers',
-	'SetMemoryLimit': 'Not applicable to SLua',
+// Signature adjustments for SLua's ll.* that are not covered by the bool-semantics/index-semantics flags of the LSL definitions
+// `arguments` maps argument names to their SLua type, `return` replaces the return type
+const SignatureOverrides = {
+	'AllowInventoryDrop': { arguments: { Flag: 'boolean' } },
+	'ApplyImpulse': { arguments: { Local: 'boolean' } },
+	'ApplyRotationalImpulse': { arguments: { Local: 'boolean' } },
+	'CollisionFilter': { arguments: { Accept: 'boolean' } },
+	'CreateLink': { arguments: { Parent: 'boolean' } },
+	'ForceMouselook': { arguments: { Enable: 'boolean' } },
+	'GetParcelMaxPrims': { arguments: { SimWide: 'boolean' } },
+	'GetParcelPrimCount': { arguments: { SimWide: 'boolean' } },
+	'GroundRepel': { arguments: { Water: 'boolean' } },
+	'LinkSetSoundQueueing': { arguments: { QueueEnable: 'boolean' } },
+	'ListSort': { arguments: { Ascending: 'boolean' } },
+	'ListSortStrided': { arguments: { Ascending: 'boolean' } },
+	'PassCollisions': { arguments: { Pass: 'boolean' } },
+	'PassTouches': { arguments: { Pass: 'boolean' } },
+	'SetAngularVelocity': { arguments: { Local: 'boolean' } },
+	'SetForce': { arguments: { Local: 'boolean' } },
+	'SetForceAndTorque': { arguments: { Local: 'boolean' } },
+	'SetHoverHeight': { arguments: { Water: 'boolean' } },
+	'SetSoundQueueing': { arguments: { QueueEnable: 'boolean' } },
+	'SetStatus': { arguments: { Value: 'boolean' } },
+	'SetTorque': { arguments: { Local: 'boolean' } },
+	'SetVelocity': { arguments: { Local: 'boolean' } },
+	'VolumeDetect': { arguments: { DetectEnabled: 'boolean' } },
 };
 
-// These functions exist through SLua's ll.* but really duplicate the functionality of some of the native libraries available from Luau
-// Native functionality may likely perform better (particularly those marked as 'fastcall functions', such as in math) or be more idiomatic to use
-// This list is used to mark such functions in the documentation as duplicates, suggesting to use native instead (`.duplicates = DuplicateFunctions[name]`)
-const DuplicateFunctions = {
-	'OwnerSay': 'print',
-	'Base642String': 'llbase64.decode',
-	'String2Base64': 'llbase64.encode',
-	'Json2List': 'lljson.decode',
-	'List2Json': 'lljson.encode',
-	'Abs': 'math.abs',
-	'Fabs': 'math.abs',
-	'Ceil': 'math.ceil',
-	'Round': 'math.round',
-	'Floor': 'math.floor',
-	'ModPow': '(a^b)%c',
-	'Sqrt': 'math.sqrt',
-	'Sin': 'math.sin',
-	'Cos': 'math.cos',
-	'Tan': 'math.tan',
-	'Asin': 'math.asin',
-	'Acos': 'math.acos',
-	'Atan2': 'math.atan2',
-	'Pow': 'math.pow',
-	'Log': 'math.log',
-	'Log10': 'math.log10',
-	'Frand': 'math.random',
-	'Char': 'string.char, utf8.char',
-	'Ord': 'string.byte, utf8.codepoint',
-	// 'SubStringIndex': 'string.find', // nope; UTF-8 differences
-	'ReplaceSubString': 'string.gsub',
-	'ParseStringKeepNulls': 'string.split',
-	'CSV2List': 'string.split',
-	// 'GetSubString': 'string.sub', // nope; UTF-8 differences
-	'GetTime': 'os.clock',
-	'GetUnixTime': 'os.time',
-	'GetTimestamp': 'os.date',
-	'GetDate': 'os.date',
-	'Rot2Fwd': 'quaternion.tofwd',
-	'Rot2Left': 'quaternion.toleft',
-	'Rot2Up': 'quaternion.toup',
-	'StringLength': '#string, string.len, utf8.len',
-	'GetListLength': '#table',
-	'ListSort': 'table.sort',
-	'DumpList2String': 'table.concat',
-	'List2CSV': 'table.concat(", ")',
-	'ListFindList': 'table.find',
-	'ListFindListNext': 'table.find',
-	'ListInsertList': 'table.move',
-	'ListReplaceList': 'table.move',
-	'ToUpper': 'string.upper',
-	'ToLower': 'string.lower',
-	'VecMag': 'vector.magnitude',
-	'VecNorm': 'vector.normalize',
-	'VecDist': 'vector.magnitude(v1 - v2)',
+// LSL index functions return -1 when nothing was found
+const NotFoundSentinel = /\b(returns?) -1 if not found/gi;
+
+// Hand-written additions to the libraries generated from slua_syntax.json (see syntaxFunctions)
+// - `groups` sorts functions into named groups, anything not listed is appended ungrouped
+// - `functions` overrides fields of single functions, e.g. a richer tooltip or a corrected type
+// - `constants` overrides fields of the module properties, same as `functions`
+// - `extra` lists functions that are available in SLua but missing from slua_syntax.json
+// - `skip` lists functions that are documented elsewhere, e.g. as constructors
+// - `global` overrides the global functions, e.g. the constructors of vector and quaternion
+const SyntaxOverrides = {
+	global: {
+		functions: {
+			vector: { tooltip: 'Creates a new vector with the specified components.' },
+			quaternion: { tooltip: 'Creates a new quaternion with the specified components.' },
+			// The caveat is written with Markdown headings in slua_syntax.json
+			tovector: { tooltip: 'Converts a string representation of a vector such as `<1, 2, 3>` into a vector, or nil if it isn\'t one. Strings are read up to the closing `>`, so `<1, 2, 3, 4>` is a valid vector too, check with toquaternion first when it could be either.' },
+			toquaternion: { tooltip: 'Converts a string representation of a quaternion such as `<0, 0, 0, 1>` into a quaternion, or nil if it isn\'t one. Strings are read up to the closing `>`, which is why tovector accepts quaternions as well, so try toquaternion first when it could be either.' },
+		},
+	},
+	bit32: {
+		groups: {
+			'Bitwise Operations': ['band', 'bnot', 'bor', 'bxor', 'btest'],
+			'Bit Field Operations': ['extract', 'replace', 'byteswap', 'countlz', 'countrz'],
+			'Bit Rotation and Shifting': ['lrotate', 'rrotate', 'lshift', 'rshift', 'arshift'],
+		},
+		functions: {
+			// The width defaults to 1, but slua_syntax.json has it as required
+			extract: { type: 'function bit32.extract(n: number, f: number, w: number?): number' },
+		},
+	},
+	lljson: {
+		groups: {
+			'JSON': ['encode', 'decode'],
+			'Second Life specific (also handles vectors, quaternions, buffers and UUIDs etc)': ['slencode', 'sldecode'],
+		},
+		functions: {
+			encode: { tooltip: 'Encodes a Lua value into a JSON string.' },
+			decode: { tooltip: 'Decodes a JSON string into a Lua value.' },
+		},
+		extra: [
+			{ name: 'slencode', type: 'function lljson.slencode(data: any, tightEncoding: boolean?): string', tooltip: 'Encodes a Lua value into an SL-JSON string. If tightEncoding is true, uses a more compact representation.' },
+			{ name: 'sldecode', type: 'function lljson.sldecode(json: string): any', tooltip: 'Decodes an SL-JSON string into a Lua value.' },
+		],
+	},
+	llbase64: {
+		functions: {
+			encode: { tooltip: 'Encodes a string or buffer into a Base64 encoded string.' },
+			decode: { tooltip: 'Decodes a Base64 encoded string into a string or buffer. If asBuffer is true, returns a buffer.' },
+		},
+	},
+	vector: {
+		groups: {
+			'Vector Operations': ['magnitude', 'normalize', 'cross', 'dot', 'angle', 'lerp'],
+			'Component-wise Operations': ['abs', 'floor', 'ceil', 'sign'],
+			'Min/Max/Clamp': ['min', 'max', 'clamp'],
+		},
+		constants: {
+			zero: { tooltip: 'Vector with all components set to 0. Equivalent to vector(0, 0, 0).' },
+			one: { tooltip: 'Vector with all components set to 1. Equivalent to vector(1, 1, 1).' },
+		},
+		extra: [
+			{ name: 'lerp', type: 'function vector.lerp(a: vector, b: vector, t: number): vector', tooltip: 'Linearly interpolates between two vectors based on parameter t (0 to 1).' },
+		],
+		skip: ['create'],
+	},
+	quaternion: {
+		extra: [
+			{ name: 'normalize', type: 'function quaternion.normalize(q: quaternion): quaternion', tooltip: 'Returns a normalized version of the quaternion.' },
+			{ name: 'magnitude', type: 'function quaternion.magnitude(q: quaternion): number', tooltip: 'Returns the magnitude (length) of the quaternion.' },
+			{ name: 'conjugate', type: 'function quaternion.conjugate(q: quaternion): quaternion', tooltip: 'Returns the conjugate (inverse) of the quaternion.' },
+			{ name: 'dot', type: 'function quaternion.dot(a: quaternion, b: quaternion): number', tooltip: 'Returns the dot product of two quaternions.' },
+			{ name: 'slerp', type: 'function quaternion.slerp(a: quaternion, b: quaternion, t: number): quaternion', tooltip: 'Performs spherical linear interpolation between two quaternions.' },
+			{ name: 'tofwd', type: 'function quaternion.tofwd(q: quaternion): vector', tooltip: 'Returns the forward vector from the quaternion.' },
+			{ name: 'toleft', type: 'function quaternion.toleft(q: quaternion): vector', tooltip: 'Returns the left vector from the quaternion.' },
+			{ name: 'toup', type: 'function quaternion.toup(q: quaternion): vector', tooltip: 'Returns the up vector from the quaternion.' },
+		],
+	},
 };
 
 // Luau fastcall functions are optimized for performance
@@ -222,26 +277,141 @@ const Fastcalls = [
 	'math.isfinite'
 ];
 
-// When converting definitions translate keys to uuids, rotations to quaternions, integers to numbers, bool-semantics to boolean, etc.
-function convertType(type, value) {
-	// If a string but is actually UUID format, convert to uuid
-	if(type == 'string' && typeof value === 'string' && /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(value)) return 'uuid';
+// Copies an LSL function definition into an SLua one with the same signature/behavior, as provided by llcompat
+function synthesizeFunction(name, lslFunc) {
+	const func = { ...lslFunc };
+	
+	// Simplify
+	delete func['func-id'];
+	if('mono-sleep' in func)
+	{
+		func.sleep = func['mono-sleep'];
+		delete func['mono-sleep'];
+	}
+	if(func.sleep === 0) delete func.sleep;
+	if(func.return === 'void') delete func.return;
+	
+	// Normalize the pure/must-use/native/experience flags into a list of traits, see FunctionTraits
+	const traits = functionTraits(func);
+	for(const flag of ['pure', 'must-use', 'native', 'experience', 'linden-experience']) delete func[flag];
+	if(traits.length) func.traits = traits;
+	
+	return {
+		name,
+		...func,
+		arguments: func.arguments.map(arg => {
+			const [argumentName, argumentDefinition] = Object.entries(arg).pop();
+			return {
+				[argumentName]: {
+					...argumentDefinition,
+					type: convertType(argumentDefinition.type),
+				}
+			};
+		}),
+		return: convertType(func.return),
+	};
+}
+
+// Adjusts a synthesized function to the signature it has in SLua's ll library, see the bool-semantics/index-semantics flags and SignatureOverrides
+function adaptSignature(name, func) {
+	const overrides = SignatureOverrides[name] || {};
+	const adapted = {
+		...func,
+		arguments: func.arguments.map(arg => {
+			const [argumentName, argumentDefinition] = Object.entries(arg).pop();
+			const definition = { ...argumentDefinition };
+			if(definition['index-semantics']) definition['one-based'] = true;
+			if(overrides.arguments?.[argumentName]) definition.type = overrides.arguments[argumentName];
+			return { [argumentName]: definition };
+		}),
+	};
+	
+	if(func['bool-semantics']) adapted.return = 'boolean';
+	if(func['index-semantics']) {
+		adapted['one-based'] = true;
+		
+		// Indices that aren't found are nil instead of -1
+		const tooltip = func.tooltip.replace(NotFoundSentinel, '$1 nil if not found');
+		if(tooltip !== func.tooltip) {
+			adapted.return = 'number?';
+			adapted.tooltip = tooltip;
+		}
+	}
+	if(overrides.return) adapted.return = overrides.return;
+	
+	return adapted;
+}
+
+function functionSignature(namespace, name, func) {
+	return `function ${namespace}.${name}(${func.arguments.map(arg => {
+		const [argumentName, argumentDefinition] = Object.entries(arg).pop();
+		return `${argumentName}: ${argumentDefinition.type}`;
+	}).join(', ')})${func.return ? `: ${func.return}` : ''}`;
+}
+
+// Builds the functions of a library from its slua_syntax.json module, with SyntaxOverrides applied on top
+function syntaxFunctions(namespace) {
+	const overrides = SyntaxOverrides[namespace] || {};
+	const functions = {};
+	for(const func of syntaxModules[namespace]?.functions || [])
+	{
+		// slua_syntax.json lists some functions twice
+		if(func.name in functions || overrides.skip?.includes(func.name)) continue;
+		functions[func.name] = {
+			name: func.name,
+			type: renderFunction(namespace, func),
+			tooltip: func.comment,
+			...overrides.functions?.[func.name],
+		};
+	}
+	for(const func of overrides.extra || []) functions[func.name] = func;
 	
-	// Map types from LSL to SLua
-	if(type === 'key') return 'uuid';
-	if(type === 'rotation') return 'quaternion';
-	if(type === 'integer') return 'number';
-	if(type === 'float') return 'number';
-	if(type === 'string') return 'string';
-	if(type === 'vector') return 'vector';
-	if(type === 'list') return 'table';
-	if(type === 'boolean') return 'boolean';
-	return type; // leave as-is
+	if(!overrides.groups) return Object.values(functions);
+	
+	const grouped = Object.entries(overrides.groups).map(([group, names]) => ({
+		group,
+		list: names.map(name => functions[name]).filter(Boolean),
+	}));
+	const ungrouped = Object.values(functions).filter(func => !Object.values(overrides.groups).some(names => names.includes(func.name)));
+	return [...grouped, ...ungrouped];
+}
+
+// Builds the constants of a library from the properties of its slua_syntax.json module, with SyntaxOverrides applied on top
+function syntaxConstants(namespace) {
+	const overrides = SyntaxOverrides[namespace] || {};
+	const constants = {};
+	for(const property of syntaxModules[namespace]?.properties || [])
+	{
+		if(property.name in constants) continue;
+		constants[property.name] = {
+			name: property.name,
+			type: renderType(property.type),
+			tooltip: property.comment,
+			...overrides.constants?.[property.name],
+		};
+	}
+	return Object.values(constants);
+}
+
+// Builds a global function from slua_syntax.json, e.g. `tovector`, with SyntaxOverrides.global applied on top
+function syntaxGlobal(name) {
+	const func = syntaxGlobals[name];
+	return {
+		name,
+		type: renderFunction(null, func),
+		tooltip: func.comment,
+		...SyntaxOverrides.global.functions[name],
+	};
 }
 
 
 const lsl = load(await readFile(lslDefinitionsPath, 'utf8'));
 
+// bit32, lljson, llbase64, vector and quaternion are generated from here, see syntaxFunctions and syntaxGlobal
+const sluaSyntax = JSON.parse(await readFile(sluaSyntaxPath, 'utf8')).slua;
+const syntaxModules = Object.fromEntries(sluaSyntax.modules.map(module => [module.name, module]));
+const syntaxGlobals = Object.fromEntries(sluaSyntax.globalFunctions.map(func => [func.name, func])); // Some are listed twice
+
 // Hardcoded SLua base definitions, merged/synthesized with LSL-based definitions
 const slua = {
 	types: {
@@ -342,41 +512,18 @@ const slua = {
 					]
 				},
 			],
-			constants: {
-				'vector.zero': { tooltip: 'Vector with all components set to 0. Equivalent to vector(0, 0, 0).' },
-				'vector.one': { tooltip: 'Vector with all components set to 1. Equivalent to vector(1, 1, 1).' },
-			},
+			constants: Object.fromEntries(syntaxConstants('vector').map(({ name, tooltip }) => [`vector.${name}`, { tooltip }])),
 			components: {
 				x: { type: 'number', tooltip: 'The X component of the vector.' },
 				y: { type: 'number', tooltip: 'The Y component of the vector.' },
 				z: { type: 'number', tooltip: 'The Z component of the vector.' },
 			},
 			constructors: [
-				{ name: 'vector', type: 'function vector(x: number, y: number, z: number): vector', tooltip: 'Creates a new vector with the specified components.' },
+				syntaxGlobal('vector'),
 				{ name: 'vector.create', type: 'function vector.create(x: number, y: number, z: number): vector', tooltip: 'Creates a new vector with the specified components.' },
-				{ name: 'tovector', type: 'function tovector(string: string): vector', tooltip: 'Converts a string representation of a vector into a vector type.' },
-			],
-			methods: [
-				{ group: 'Vector Operations', list: [
-					{ name: 'magnitude', type: 'function vector.magnitude(v: vector): number', tooltip: 'Returns the magnitude (length) of the vector.' },
-					{ name: 'normalize', type: 'function vector.normalize(v: vector): vector', tooltip: 'Returns a normalized (unit length) version of the vector.' },
-					{ name: 'cross', type: 'function vector.cross(v1: vector, v2: vector): vector', tooltip: 'Returns the cross product of two vectors.' },
-					{ name: 'dot', type: 'function vector.dot(v1: vector, v2: vector): number', tooltip: 'Returns the dot product of two vectors.' },
-					{ name: 'angle', type: 'function vector.angle(v1: vector, v2: vector, axis: vector?): number', tooltip: 'Returns the angle in radians between two vectors, optionally around a specified axis.' },
-					{ name: 'lerp', type: 'function vector.lerp(a: vector, b: vector, t: number): vector', tooltip: 'Linearly interpolates between two vectors based on parameter t (0 to 1).' },
-				]},
-				{ group: 'Component-wise Operations', list: [
-					{ name: 'abs', type: 'function vector.abs(v: vector): vector', tooltip: 'Returns a vector with the absolute values of each component.' },
-					{ name: 'floor', type: 'function vector.floor(v: vector): vector', tooltip: 'Returns a vector with each component rounded down to the nearest integer.' },
-					{ name: 'ceil', type: 'function vector.ceil(v: vector): vector', tooltip: 'Returns a vector with each component rounded up to the nearest integer.' },
-					{ name: 'sign', type: 'function vector.sign(v: vector): vector', tooltip: 'Returns a vector with the sign of each component (-1, 0, or 1).' },
-				]},
-				{ group: 'Min/Max/Clamp', list: [
-					{ name: 'min', type: 'function vector.min(...: vector): vector', tooltip: 'Returns a vector containing the minimum components from the provided vectors.' },
-					{ name: 'max', type: 'function vector.max(...: vector): vector', tooltip: 'Returns a vector containing the maximum components from the provided vectors.' },
-					{ name: 'clamp', type: 'function vector.clamp(v: vector, min: vector, max: vector): vector', tooltip: 'Clamps each component of the vector between the corresponding components of min and max vectors.' },
-				]},
+				syntaxGlobal('tovector'),
 			],
+			methods: syntaxFunctions('vector'),
 		},
 		quaternion: {
 			tooltip: 'Quaternion represent an orientation in 3D space.',
@@ -404,20 +551,11 @@ const slua = {
 				s: { type: 'number', tooltip: 'The S component of the quaternion.' },
 			},
 			constructors: [
-				{ name: 'quaternion', type: 'function quaternion(x: number, y: number, z: number, s: number): quaternion', tooltip: 'Creates a new quaternion with the specified components.' },
+				syntaxGlobal('quaternion'),
 				{ name: 'quaternion.create', type: 'function quaternion.create(x: number, y: number, z: number, s: number): quaternion', tooltip: 'Creates a new quaternion with the specified components.' },
-				{ name: 'torotation', type: 'function torotation(string: string): quaternion', tooltip: 'Converts a string representation of a quaternion into a quaternion type.' },
-			],
-			methods: [
-				{ name: 'normalize', type: 'function quaternion.normalize(q: quaternion): quaternion', tooltip: 'Returns a normalized version of the quaternion.' },
-				{ name: 'magnitude', type: 'function quaternion.magnitude(q: quaternion): number', tooltip: 'Returns the magnitude (length) of the quaternion.' },
-				{ name: 'conjugate', type: 'function quaternion.conjugate(q: quaternion): quaternion', tooltip: 'Returns the conjugate (inverse) of the quaternion.' },
-				{ name: 'dot', type: 'function quaternion.dot(a: quaternion, b: quaternion): number', tooltip: 'Returns the dot product of two quaternions.' },
-				{ name: 'slerp', type: 'function quaternion.slerp(a: quaternion, b: quaternion, t: number): quaternion', tooltip: 'Performs spherical linear interpolation between two quaternions.' },
-				{ name: 'tofwd', type: 'function quaternion.tofwd(q: quaternion): vector', tooltip: 'Returns the forward vector from the quaternion.' },
-				{ name: 'toleft', type: 'function quaternion.toleft(q: quaternion): vector', tooltip: 'Returns the left vector from the quaternion.' },
-				{ name: 'toup', type: 'function quaternion.toup(q: quaternion): vector', tooltip: 'Returns the up vector from the quaternion.' },
+				syntaxGlobal('toquaternion'),
 			],
+			methods: syntaxFunctions('quaternion'),
 			related: [
 				{ name: 'll.AngleBetween', type: 'function ll.AngleBetween(a: quaternion, b: quaternion): number', tooltip: 'Returns the angle in radians between two quaternions.' },
 				{ name: 'll.Axes2Rot', type: 'function ll.Axes2Rot(forward: vector, left: vector, up: vector): quaternion', tooltip: 'Constructs a quaternion from the given orthogonal axes.' },
@@ -618,7 +756,7 @@ const slua = {
 			access: {
 				index: { type: 'number', tooltip: 'The index of the detected object in the event.' },
 				valid: { type: 'boolean', tooltip: 'Indicates whether the detected object is still valid.' },
-				canAdjustDamage: { type: 'boolean', tooltip: 'Indicates whether the damage can be adjusted for this event.' },
+				can_change_damage: { type: 'boolean', tooltip: 'Indicates whether the damage can be adjusted for this event.' },
 			},
 			methods: [
 				{ group: 'Info about the detected object', list: [
@@ -668,9 +806,9 @@ const slua = {
 					{ name: 'typeof', type: 'function typeof(obj: any): string', tooltip: 'Returns the type of the given object as a string.' },
 					{ name: 'tonumber', type: 'function tonumber(s: string, base: number?): number?', tooltip: 'Converts a string to a number in the specified base (default is base 10).' },
 					{ name: 'tostring', type: 'function tostring(obj: any): string', tooltip: 'Converts an object to its string representation.' },
-					{ name: 'tovector', type: 'function tovector(s: string): vector', tooltip: 'Converts a string representation of a vector into a vector type.' },
-					{ name: 'toquaternion', type: 'function toquaternion(s: string): quaternion', tooltip: 'Converts a string representation of a quaternion into a quaternion type.' },
-					{ name: 'torotation', type: 'function torotation(s: string): quaternion', tooltip: 'Converts a string representation of a rotation into a quaternion type.' },
+					syntaxGlobal('tovector'),
+					syntaxGlobal('toquaternion'),
+					{ name: 'torotation', type: 'function torotation(str: string): quaternion?', tooltip: 'Alias of toquaternion, after LSL\'s name for quaternions.' },
 					{ name: 'touuid', type: 'function touuid(s: string): uuid', tooltip: 'Converts a string representation of a UUID into a uuid type.' },
 				]},
 				{ group: 'Error Handling and Debugging', list: [
@@ -776,29 +914,7 @@ const slua = {
 			],
 		},
 		bit32: {
-			functions: [
-				{ group: 'Bitwise Operations', list: [
-					{ name: 'band', type: 'function bit32.band(args: ...number): number', tooltip: 'Performs a bitwise AND operation on all provided numbers.' },
-					{ name: 'bnot', type: 'function bit32.bnot(n: number): number', tooltip: 'Performs a bitwise NOT operation on the given number.' },
-					{ name: 'bor', type: 'function bit32.bor(args: ...number): number', tooltip: 'Performs a bitwise OR operation on all provided numbers.' },
-					{ name: 'bxor', type: 'function bit32.bxor(args: ...number): number', tooltip: 'Performs a bitwise XOR operation on all provided numbers.' },
-					{ name: 'btest', type: 'function bit32.btest(args: ...number): boolean', tooltip: 'Tests if the bitwise AND of all provided numbers is non-zero.' },
-				]},
-				{ group: 'Bit Field Operations', list: [
-					{ name: 'extract', type: 'function bit32.extract(n: number, field: number, width: number?): number', tooltip: 'Extracts a bit field from the given number.' },
-					{ name: 'replace', type: 'function bit32.replace(n: number, replacement: number, field: number, width: number?): number', tooltip: 'Replaces a bit field in the given number with the replacement value.' },
-					{ name: 'byteswap', type: 'function bit32.byteswap(n: number): number', tooltip: 'Swaps the byte order of the given number.' },
-					{ name: 'countlz', type: 'function bit32.countlz(n: number): number', tooltip: 'Counts the number of leading zeros in the binary representation of the given number.' },
-					{ name: 'countrz', type: 'function bit32.countrz(n: number): number', tooltip: 'Counts the number of trailing zeros in the binary representation of the given number.' },
-				]},
-				{ group: 'Bit Rotation and Shifting', list: [
-					{ name: 'lrotate', type: 'function bit32.lrotate(n: number, displacement: number): number', tooltip: 'Performs a left bit rotation on the given number by the specified displacement.' },
-					{ name: 'rrotate', type: 'function bit32.rrotate(n: number, displacement: number): number', tooltip: 'Performs a right bit rotation on the given number by the specified displacement.' },
-					{ name: 'lshift', type: 'function bit32.lshift(n: number, displacement: number): number', tooltip: 'Performs a left bit shift on the given number by the specified displacement.' },
-					{ name: 'rshift', type: 'function bit32.rshift(n: number, displacement: number): number', tooltip: 'Performs a right bit shift on the given number by the specified displacement.' },
-					{ name: 'arshift', type: 'function bit32.arshift(n: number, displacement: number): number', tooltip: 'Performs an arithmetic right bit shift on the given number by the specified displacement.' },
-				]},
-			],
+			functions: syntaxFunctions('bit32'),
 		},
 		os: {
 			functions: [
@@ -840,38 +956,15 @@ const slua = {
 				// Skip removed functions
 				if(name in RemovedFunctions) return null;
 				
+				const definition = adaptSignature(name, synthesizeFunction(name, func));
+				
 				// Skip duplicate functions
 				// if(name in DuplicateFunctions) return null;
-				if(name in DuplicateFunctions) func.duplicates = DuplicateFunctions[name];
-				
-				// Simplify
-				delete func['func-id'];
-				delete func.energy;
-				if('mono-sleep' in func)
-				{
-					func.sleep = func['mono-sleep'];
-					delete func['mono-sleep'];
-				}
-				if(func.sleep === 0) delete func.sleep;
-				if(func.return === 'void') delete func.return;
+				if(name in DuplicateFunctions) definition.duplicates = DuplicateFunctions[name];
 				
 				return {
-					name,
-					...func,
-					arguments: func.arguments.map(arg => {
-						const [argumentName, argumentDefinition] = Object.entries(arg).pop();
-						return {
-							[argumentName]: {
-								...argumentDefinition,
-								type: convertType(argumentDefinition.type),
-							}
-						};
-					}),
-					return: convertType(func.return),
-					type: `function ll.${name}(${func.arguments.map(arg => {
-						const [argumentName, argumentDefinition] = Object.entries(arg).pop();
-						return `${argumentName}: ${convertType(argumentDefinition.type)}`;
-					}).join(', ')}): ${convertType(func.return)}`,
+					...definition,
+					type: functionSignature('ll', name, definition),
 				};
 			}).filter(Boolean),
 		},
@@ -892,22 +985,11 @@ const slua = {
 			],
 		},
 		lljson: {
-			functions: [
-				{ group: 'JSON', list: [
-					{ name: 'encode', type: 'function lljson.encode(data: any): string', tooltip: 'Encodes a Lua value into a JSON string.' },
-					{ name: 'decode', type: 'function lljson.decode(json: string): any', tooltip: 'Decodes a JSON string into a Lua value.' },
-				]},
-				{ group: 'Second Life specific (also handles vectors, quaternions, buffers and UUIDs etc)', list: [
-					{ name: 'slencode', type: 'function lljson.slencode(data: any, tightEncoding: boolean?): string', tooltip: 'Encodes a Lua value into an SL-JSON string. If tightEncoding is true, uses a more compact representation.' },
-					{ name: 'sldecode', type: 'function lljson.sldecode(json: string): any', tooltip: 'Decodes an SL-JSON string into a Lua value.' },
-				]},
-			],
+			constants: syntaxConstants('lljson'),
+			functions: syntaxFunctions('lljson'),
 		},
 		llbase64: {
-			functions: [
-				{ name: 'encode', type: 'function llbase64.encode(data: string | buffer): string', tooltip: 'Encodes a string or buffer into a Base64 encoded string.' },
-				{ name: 'decode', type: 'function llbase64.decode(data: string, asBuffer: boolean?): string | buffer', tooltip: 'Decodes a Base64 encoded string into a string or buffer. If asBuffer is true, returns a buffer.' },
-			],
+			functions: syntaxFunctions('llbase64'),
 		},
 		llcompat: {
 			functions: Object.entries(lsl.functions).map(([name, func]) => {
@@ -916,34 +998,10 @@ const slua = {
 				
 				name = name.substring(2);
 				
-				// Simplify
-				delete func['func-id'];
-				delete func.energy;
-				if('mono-sleep' in func)
-				{
-					func.sleep = func['mono-sleep'];
-					delete func['mono-sleep'];
-				}
-				if(func.sleep === 0) delete func.sleep;
-				if(func.return === 'void') delete func.return;
-				
+				const definition = synthesizeFunction(name, func);
 				return {
-					name,
-					...func,
-					arguments: func.arguments.map(arg => {
-						const [argumentName, argumentDefinition] = Object.entries(arg).pop();
-						return {
-							[argumentName]: {
-								...argumentDefinition,
-								type: convertType(argumentDefinition.type),
-							}
-						};
-					}),
-					return: convertType(func.return),
-					type: `function ll.${name}(${func.arguments.map(arg => {
-						const [argumentName, argumentDefinition] = Object.entries(arg).pop();
-						return `${argumentName}: ${convertType(argumentDefinition.type)}`;
-					}).join(', ')})${func.return ? `: ${convertType(func.return)}` : ''}`,
+					...definition,
+					type: functionSignature('llcompat', name, definition),
 				};
 			}).filter(Boolean),
 		},
@@ -1177,7 +1235,7 @@ const slua = {
 for(const [lslEventName, lslEventDef] of Object.entries(lsl.events)) {
 	if(lslEventDef.private) continue;
 	if(lslEventDef.deprecated) continue;
-	if(['state_entry', 'state_exit', 'timer'].includes(lslEventName)) continue; // handled natively
+	if(lslEventName in RemovedEvents) continue; // handled natively
 	
 	if(!(lslEventName in slua.events)) {
 		console.log(`Adding fallback LSL event definition for ${lslEventName}`);
@@ -1217,19 +1275,44 @@ for(const [lslEventName, lslEventDef] of Object.entries(lsl.events)) {
 }
 
 // Loop through and mark fastcall functions
-for(const funcName of Fastcalls)
+const unmatchedFastcalls = [];
+let fastcallDefinitions = 0;
+for(const funcName of new Set(Fastcalls))
 {
-	if(funcName.includes('.')) {
-		const [libName, shortFuncName] = funcName.split('.');
-		const library = slua.libraries[libName];
-		if(!library) continue;
-		if(library?.functions?.[shortFuncName]) {
-			slua.libraries[libName].functions[shortFuncName].fastcall = true;
-		}
-	} else if(slua.libraries.global.functions[funcName]) {
-		slua.libraries.global.functions[funcName].fastcall = true;
+	const definitions = resolveDefinitions(slua, funcName);
+	if(!definitions.length) unmatchedFastcalls.push(funcName);
+	for(const definition of definitions) definition.fastcall = true;
+	fastcallDefinitions += definitions.length;
+}
+
+console.log(`Marked ${fastcallDefinitions} definitions as fastcall`);
+
+if(unmatchedFastcalls.length) {
+	console.warn(`Fastcall functions without a definition (${unmatchedFastcalls.length}):`);
+	for(const funcName of unmatchedFastcalls) console.warn(`  - ${funcName}`);
+}
+
+
+async function readOptional(filePath, parse) {
+	try {
+		return parse(await readFile(filePath, 'utf8'));
+	} catch {
+		return null;
 	}
 }
 
+// Compared as they'll be written, so that nothing shows up as changed just from being dumped
+const sluaYaml = dump(slua);
+const history = updateHistory(
+	await readOptional(apiHistoryPath, JSON.parse),
+	await readOptional(sluaDefinitionsPath, load),
+	load(sluaYaml),
+	new Date().toISOString().slice(0, 10),
+);
+if(history) {
+	await writeFile(apiHistoryPath, JSON.stringify(history, null, '\t') + '\n');
+	console.log(`Recorded the API history in ${apiHistoryPath}`);
+}
 
-writeFile(sluaDefinitionsPath, dump(slua));
+await writeFile(sluaDefinitionsPath, sluaYaml);
+console.log(`Wrote ${sluaDefinitionsPath}, run scripts/update-grammar.js to update the grammars`);
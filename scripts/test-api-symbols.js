@@ -0,0 +1,97 @@
+/*
+	Regression tests for the SLua API symbols that code blocks get tooltips and links for, see src/plugins/api-symbols.js
+	- Fixtures in scripts/fixtures/api-symbols/*.slua are annotated with the symbols their lines must contain:
+		- A comment line of `^` marks columns of the nearest source line above it, `<-` marks from its first column, e.g.
+			ll.Say(0, "ll.Say")
+			-- <---- ll.Say
+			--         ^^^^^^ -
+		- A name asserts a symbol of exactly those columns, `-` asserts that none of the columns is part of a symbol
+	- Renders a code block through expressive-code, to check that symbols linked by hand with expressive-code-links keep their own link
+	- Exits with a non-zero code on any failure
+*/
+
+import { readFile, readdir } from 'fs/promises';
+import { ExpressiveCode } from '@astrojs/starlight/expressive-code';
+import { toHtml } from '@astrojs/starlight/expressive-code/hast';
+import { pluginLink } from 'expressive-code-links';
+import { buildSymbols, findSymbols, pluginApiLinks } from '../src/plugins/api-symbols.js';
+
+const sluaGrammarPath = 'src/data/slua.tmLanguage.json';
+const fixturesPath = 'scripts/fixtures/api-symbols';
+
+const symbols = await buildSymbols();
+
+
+// Annotated fixtures
+
+// `-- <--- name` or `--   ^^^ -`
+function parseAssertion(line) {
+	if(!line.trimStart().startsWith('--')) return null;
+	const offset = line.indexOf('--') + 2;
+	const rest = line.slice(offset);
+
+	const arrow = rest.match(/^\s*<(-+)\s+(\S+)$/);
+	const carets = rest.match(/^(\s*)(\^+)\s+(\S+)$/);
+	if(arrow) return { columnStart: 0, columnEnd: arrow[1].length, name: arrow[2] };
+	if(carets) {
+		const columnStart = offset + carets[1].length;
+		return { columnStart, columnEnd: columnStart + carets[2].length, name: carets[3] };
+	}
+	return null;
+}
+
+async function testFixture(file) {
+	const lines = (await readFile(`${fixturesPath}/${file}`, 'utf8')).split('\n');
+	const found = findSymbols(lines, symbols);
+	const failures = [];
+
+	let sourceLine = null;
+	for(const [index, line] of lines.entries()) {
+		const assertion = sourceLine !== null && parseAssertion(line);
+		if(!assertion) {
+			sourceLine = index;
+			continue;
+		}
+
+		const { columnStart, columnEnd, name } = assertion;
+		const overlapping = found[sourceLine].filter(symbol => symbol.columnStart < columnEnd && columnStart < symbol.columnEnd);
+		const text = lines[sourceLine].slice(columnStart, columnEnd);
+		const got = overlapping.map(({ symbol, columnStart, columnEnd }) => `${symbol.name} at ${columnStart + 1}-${columnEnd}`).join(', ') || 'no symbol';
+		const matches = name === '-'
+			? !overlapping.length
+			: overlapping.length === 1 && overlapping[0].symbol.name === name && overlapping[0].columnStart === columnStart && overlapping[0].columnEnd === columnEnd;
+		if(!matches) failures.push(`${file}:${sourceLine + 1}:${columnStart + 1} "${text}", expected ${name === '-'? 'no symbol' : name}, got ${got}`);
+	}
+	return failures;
+}
+
+
+// Hand-written links
+
+async function testHandLinks() {
+	const ec = new ExpressiveCode({
+		plugins: [pluginLink(), pluginApiLinks()],
+		shiki: { langs: [JSON.parse(await readFile(sluaGrammarPath, 'utf8'))] },
+	});
+	const { renderedGroupAst } = await ec.render({ code: 'local axis = ll.\\[Rot2Axis](/custom) + ll.Say(0, "")', language: 'slua' });
+	const links = [...toHtml(renderedGroupAst).matchAll(/<a [^>]*href="([^"]+)"/g)].map(([, href]) => href);
+
+	const expected = ['/custom', '/reference/library/ll/say/'];
+	if(links.join() === expected.join()) return [];
+	return [`ll.\\[Rot2Axis](/custom) rendered the links ${links.join(', ') || '(none)'}, expected ${expected.join(', ')}`];
+}
+
+
+const failures = [];
+const fixtures = (await readdir(fixturesPath)).filter(file => file.endsWith('.slua')).sort();
+for(const file of fixtures) failures.push(...await testFixture(file));
+failures.push(...await testHandLinks());
+
+if(!failures.length) {
+	console.log(`API symbols pass ${fixtures.length} fixtures and the hand-written links`);
+}
+else {
+	console.log(`API symbol regressions (${failures.length}):`);
+	for(const failure of failures) console.log(`  - ${failure}`);
+	process.exitCode = 1;
+}
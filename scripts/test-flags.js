@@ -0,0 +1,56 @@
+/*
+	Checks the flag families that the Bitmask Decoder decodes with, see inferFlagFamilies in src/plugins/ll-index.js
+	- Values that a script can actually receive must decode without uncovered bits, e.g. all of run_time_permissions' PERMISSION_* at once
+	- Enumerations that happen to be powers of two must not show up as a family
+	- Exits with a non-zero code on any failure
+*/
+
+import { buildConstantsIndex } from '../src/plugins/ll-index.js';
+
+// Every single bit constant of these prefixes must decode as part of the family, even when written in decimal
+const Families = ['CHANGED_', 'CONTROL_', 'PERMISSION_'];
+
+const NotFamilies = ['PSYS_SRC_PATTERN_', 'TARGETED_EMAIL_'];
+
+const constants = await buildConstantsIndex();
+const families = constants.reduce((families, constant) => {
+	if(constant.flags) (families[constant.flags] ||= []).push({ ...constant, value: Number(constant.value) >>> 0 });
+	return families;
+}, {});
+
+// Same as the decoder's unknown bits
+function uncoveredBits(value, flags) {
+	return flags.reduce((bits, flag) => (bits & ~flag.value) >>> 0, value >>> 0);
+}
+
+const isPowerOfTwo = value => value > 0 && !(value & (value - 1));
+
+const failures = [];
+for(const family of Families) {
+	const flags = families[family] || [];
+	const bits = constants.filter(({ name, value, deprecated }) => name.startsWith(family) && !deprecated && isPowerOfTwo(Number(value)));
+	for(const { name, value } of bits) {
+		const uncovered = uncoveredBits(Number(value), flags);
+		if(uncovered) failures.push(`${name} (${value}) leaves 0x${uncovered.toString(16).toUpperCase()} uncovered in ${family}`);
+	}
+}
+
+// Written in decimal by the LSL definitions, but run_time_permissions hands it over like any other permission
+const returnObjects = constants.find(({ name }) => name === 'PERMISSION_RETURN_OBJECTS');
+if(returnObjects?.flags !== 'PERMISSION_' || uncoveredBits(Number(returnObjects.value), families.PERMISSION_ || [])) {
+	failures.push(`PERMISSION_RETURN_OBJECTS (${returnObjects?.value}) is not decoded by the PERMISSION_ family`);
+}
+
+for(const prefix of NotFamilies) {
+	const members = constants.filter(({ name, flags }) => name.startsWith(prefix) && flags);
+	if(members.length) failures.push(`${prefix} is an enumeration, but ${members.map(({ name }) => name).join(', ')} decode as flags`);
+}
+
+if(!failures.length) {
+	console.log(`Flag families pass, ${Object.keys(families).length} families`);
+}
+else {
+	console.log(`Flag family regressions (${failures.length}):`);
+	for(const failure of failures) console.log(`  - ${failure}`);
+	process.exitCode = 1;
+}
@@ -0,0 +1,218 @@
+/*
+	Regression tests for the SLua and LSL grammars, which update-grammar.js rewrites from the definitions
+	- Tokenizes with Shiki, the same TextMate engine that highlights the site's code blocks
+	- Fixtures in scripts/fixtures/grammars/*.slua|*.lsl are annotated with the scopes their tokens must have:
+		- A comment line of `^` marks columns of the nearest source line above it, `<-` marks from its first column, e.g.
+			ll.Say(0, "Hello")
+			-- <------ support.function.luau
+			--     ^ punctuation.arguments.begin.luau
+		- Scopes match by prefix, e.g. `support.function` matches `support.function.luau`, a leading `-` asserts the scope is absent
+	- The slua/lsl code fences of fundamentals/lsl-vs-slua.mdx are compared against a snapshot of their scopes
+		- Run with `--update` to accept the current tokenization as the new snapshot, which is also how a missing one is written
+	- Checks that astro.config.mjs loads these same grammar files into expressive-code, otherwise none of this reaches the site
+	- Exits with a non-zero code on any failure, so a definitions update that breaks highlighting stops the sync
+*/
+
+import { readFile, writeFile, readdir } from 'fs/promises';
+import { createHighlighter } from 'shiki'; // Comes with Astro and expressive-code
+
+const lslGrammarPath = 'src/data/lsl.tmLanguage.json';
+const sluaGrammarPath = 'src/data/slua.tmLanguage.json';
+const fixturesPath = 'scripts/fixtures/grammars';
+const samplesPagePath = 'src/content/docs/fundamentals/lsl-vs-slua.mdx';
+const snapshotPath = `${fixturesPath}/lsl-vs-slua.snap`;
+const siteConfigPath = 'astro.config.mjs';
+
+const update = process.argv.includes('--update');
+
+const Languages = {
+	slua: { comment: '--' },
+	lsl: { comment: '//' },
+};
+
+const highlighter = await createHighlighter({
+	themes: ['github-dark'],
+	langs: [
+		JSON.parse(await readFile(sluaGrammarPath, 'utf8')),
+		JSON.parse(await readFile(lslGrammarPath, 'utf8')),
+	],
+});
+
+// Each line as a list of `{ start, end, text, scopes }`, without the root scope, e.g. `source.luau`
+function tokenize(code, lang) {
+	return highlighter.codeToTokensBase(code, { lang, theme: 'github-dark', includeExplanation: 'scopeName' }).map(line => {
+		const tokens = [];
+		let column = 0;
+		for(const token of line) {
+			for(const { content, scopes } of token.explanation) {
+				tokens.push({ start: column, end: column + content.length, text: content, scopes: scopes.slice(1).map(({ scopeName }) => scopeName) });
+				column += content.length;
+			}
+		}
+		return tokens;
+	});
+}
+
+function hasScope(scopes, expected) {
+	return scopes.some(scope => scope === expected || scope.startsWith(`${expected}.`));
+}
+
+
+// Annotated fixtures
+
+// `-- <--- scope` or `--   ^^^ scope -other.scope`
+function parseAssertion(line, comment) {
+	if(!line.trimStart().startsWith(comment)) return null;
+	const offset = line.indexOf(comment) + comment.length;
+	const rest = line.slice(offset);
+
+	let columns;
+	let scopeText;
+	const arrow = rest.match(/^\s*<(-+)\s+(.+)$/);
+	const carets = rest.match(/^(\s*)(\^+)\s+(.+)$/);
+	if(arrow) {
+		columns = Array.from({ length: arrow[1].length }, (_, index) => index);
+		scopeText = arrow[2];
+	}
+	else if(carets) {
+		const start = offset + carets[1].length;
+		columns = Array.from({ length: carets[2].length }, (_, index) => start + index);
+		scopeText = carets[3];
+	}
+	else return null;
+
+	const scopes = scopeText.trim().split(/\s+/);
+	return {
+		columns,
+		present: scopes.filter(scope => !scope.startsWith('-')),
+		absent: scopes.filter(scope => scope.startsWith('-')).map(scope => scope.slice(1)).filter(Boolean),
+	};
+}
+
+async function testFixture(file) {
+	const lang = file.split('.').pop();
+	const { comment } = Languages[lang];
+	const lines = (await readFile(`${fixturesPath}/${file}`, 'utf8')).split('\n');
+	const tokens = tokenize(lines.join('\n'), lang);
+	const failures = [];
+
+	let sourceLine = null;
+	for(const [index, line] of lines.entries()) {
+		const assertion = sourceLine !== null && parseAssertion(line, comment);
+		if(!assertion) {
+			sourceLine = index;
+			continue;
+		}
+
+		for(const column of assertion.columns) {
+			const token = tokens[sourceLine].find(({ start, end }) => column >= start && column < end);
+			const scopes = token?.scopes || [];
+			const missing = assertion.present.filter(scope => !hasScope(scopes, scope));
+			const unexpected = assertion.absent.filter(scope => hasScope(scopes, scope));
+			if(missing.length || unexpected.length) {
+				failures.push([
+					`${file}:${sourceLine + 1}:${column + 1} "${token?.text ?? ''}"`,
+					...missing.map(scope => `expected ${scope}`),
+					...unexpected.map(scope => `unexpected ${scope}`),
+					`got ${scopes.join(' ') || '(no scopes)'}`,
+				].join(', '));
+				break; // One report per assertion is enough
+			}
+		}
+	}
+	return failures;
+}
+
+
+// Snapshot of the code samples
+
+// Code fences may be indented inside of components, e.g. in <Comparison>
+function extractSamples(page) {
+	const samples = [];
+	for(const match of page.matchAll(/^([ \t]*)```(slua|lsl)\b.*\n([\s\S]*?)^\1```/gm)) {
+		const [, indent, lang, code] = match;
+		const line = page.slice(0, match.index).split('\n').length;
+		samples.push({ lang, line, code: code.split('\n').map(codeLine => codeLine.startsWith(indent)? codeLine.slice(indent.length) : codeLine).join('\n').trimEnd() });
+	}
+	return samples;
+}
+
+function renderSnapshot(samples) {
+	const lines = [];
+	for(const { lang, line, code } of samples) {
+		lines.push(`## ${lang} at line ${line}`);
+		const codeLines = code.split('\n');
+		for(const [index, tokens] of tokenize(code, lang).entries()) {
+			if(!codeLines[index].trim()) continue;
+			lines.push(codeLines[index]);
+
+			// Neighbouring tokens with the same scopes are merged, e.g. the quotes and contents of a string
+			const merged = [];
+			for(const token of tokens) {
+				const last = merged.at(-1);
+				if(last && last.scopes.join() === token.scopes.join()) last.text += token.text;
+				else merged.push({ ...token });
+			}
+			for(const { text, scopes } of merged) {
+				if(text.trim()) lines.push(`\t${JSON.stringify(text.trim())} ${scopes.join(' ') || '-'}`);
+			}
+		}
+		lines.push('');
+	}
+	return lines.join('\n');
+}
+
+async function testSnapshot() {
+	const snapshot = renderSnapshot(extractSamples(await readFile(samplesPagePath, 'utf8')));
+	let previous = null;
+	try {
+		previous = await readFile(snapshotPath, 'utf8');
+	} catch {}
+
+	if(update) {
+		await writeFile(snapshotPath, snapshot, 'utf8');
+		console.log(`Wrote the snapshot to ${snapshotPath}`);
+		return [];
+	}
+	// A missing snapshot would otherwise pass anything, it has to be written on purpose
+	if(previous === null) return [`${snapshotPath} is missing`];
+	if(previous === snapshot) return [];
+
+	// Report the first few lines that differ, the full diff is a `--update` and `git diff` away
+	const previousLines = previous.split('\n');
+	const currentLines = snapshot.split('\n');
+	const failures = [];
+	for(let index = 0; index < Math.max(previousLines.length, currentLines.length) && failures.length < 10; index++) {
+		if(previousLines[index] !== currentLines[index]) {
+			failures.push(`${snapshotPath}:${index + 1}\n      expected ${previousLines[index] ?? '(end)'}\n      got      ${currentLines[index] ?? '(end)'}`);
+		}
+	}
+	return failures;
+}
+
+
+// Site config
+
+async function testSiteConfig() {
+	const config = await readFile(siteConfigPath, 'utf8');
+	return [sluaGrammarPath, lslGrammarPath]
+		.filter(path => !config.includes(`readFile('./${path}'`))
+		.map(path => `${siteConfigPath} does not load ${path} into expressive-code`);
+}
+
+
+const fixtures = (await readdir(fixturesPath)).filter(file => file.split('.').pop() in Languages).sort();
+const failures = [];
+for(const file of fixtures) failures.push(...await testFixture(file));
+failures.push(...await testSnapshot());
+failures.push(...await testSiteConfig());
+
+if(!failures.length) {
+	console.log(`Grammars pass ${fixtures.length} fixtures and the ${samplesPagePath} snapshot`);
+}
+else {
+	console.log(`Grammar regressions (${failures.length}):`);
+	for(const failure of failures) console.log(`  - ${failure}`);
+	if(!update) console.log(`\nIf the snapshot changes are intended, run with --update`);
+	process.exitCode = 1;
+}
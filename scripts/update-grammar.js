@@ -3,6 +3,7 @@
 import { readFile, writeFile, mkdir, access, unlink } from 'fs/promises';
 import { load, dump } from 'js-yaml';
 import { platform } from 'os';
+import { RemovedFunctions } from '../src/data/lsl_to_slua.js';
 
 const lslDefinitionsPath = 'src/data/lsl_definitions.yaml';
 const lslGrammarPath = 'src/data/lsl.tmLanguage.json';
@@ -226,14 +227,44 @@ const luauConstants = Object.entries(slua.libraries)
 	)
 	.filter(item => item?.length);
 
-const platformFunctions = Object.entries(slua.libraries)
-	.filter(([key]) => key.toLowerCase().startsWith('ll'))
-	.flatMap(([namespace, lib]) =>
-		(lib.functions || []).flatMap(item =>
-			Array.isArray(item)? item : ('list' in item? item.list : item)
-		).map(item => namespace + '.' + item.name)
-	)
+// Types double as libraries, e.g. `vector.magnitude`, `string.byte` or `vector.zero`, named as they are called
+const typeFunctions = Object.values(slua.types)
+	.filter(type => !type.private)
+	.flatMap(type => [...(type.constructors || []), ...(type.methods || [])].flatMap(item =>
+		Array.isArray(item)? item : ('list' in item? item.list : item)
+	))
+	.map(item => item.type?.match(/^function (\w+\.\w+)\(/)?.[1])
 	.filter(item => item?.length);
+const typeConstants = Object.values(slua.types)
+	.filter(type => !type.private)
+	.flatMap(type => Object.keys(type.constants || {}))
+	.filter(name => name.includes('.'));
+
+// Platform functions are split by how they should be used, so code blocks can flag the discouraged ones
+const platformFunctions = [];
+const platformFunctionsPreferNative = []; // Duplicates of a Luau library, e.g. `ll.Abs` for `math.abs`
+const platformFunctionsCompatOnly = []; // Only in llcompat, e.g. `llcompat.SetTimerEvent`
+const llNames = new Set(slua.libraries.ll.functions.flatMap(item =>
+	Array.isArray(item)? item : ('list' in item? item.list : item)
+).map(item => item.name));
+for(const [namespace, lib] of Object.entries(slua.libraries))
+{
+	if(!namespace.toLowerCase().startsWith('ll')) continue;
+	const items = (lib.functions || []).flatMap(item =>
+		Array.isArray(item)? item : ('list' in item? item.list : item)
+	).filter(item => item.name?.length);
+
+	for(const item of items)
+	{
+		const name = namespace + '.' + item.name;
+		if(namespace === 'llcompat' && !llNames.has(item.name)) platformFunctionsCompatOnly.push(name);
+		else if(item.duplicates) platformFunctionsPreferNative.push(name);
+		else platformFunctions.push(name);
+	}
+}
+// Removed from `ll` and left out of the definitions, so they are only known by name
+const platformFunctionsRemoved = Object.keys(RemovedFunctions).map(name => 'll.' + name);
+
 const platformConstants = Object.entries(slua.libraries)
 	.filter(([key]) => key.toLowerCase().startsWith('ll'))
 	.flatMap(([namespace, lib]) =>
@@ -243,6 +274,25 @@ const platformConstants = Object.entries(slua.libraries)
 	)
 	.filter(item => item?.length);
 
+// Methods of the SLua classes, e.g. `LLEvents:on` and `LLTimers:every`, and which of them take an event name
+const methods = [];
+const eventMethods = [];
+for(const [namespace, lib] of Object.entries(slua.libraries))
+{
+	for(const item of (lib.functions || []).flatMap(item => Array.isArray(item)? item : ('list' in item? item.list : item)))
+	{
+		const [, name, firstArgument] = item.type?.match(/^function (\w+:\w+)\((\w+)?/) || [];
+		if(!name) continue;
+		if(firstArgument === 'eventName') eventMethods.push(name, name.replace(':', '.')); // Also when called as `LLEvents.on(LLEvents, ...)`
+		else methods.push(name);
+	}
+}
+const sluaEvents = Object.keys(slua.events);
+
+const sluaConstantsDeprecated = Object.entries(slua.constants)
+	.filter(([, constant]) => constant.deprecated && !constant.private)
+	.map(([name]) => name);
+
 
 
 // Replace standard library
@@ -259,16 +309,63 @@ if(globalConstants.length) standard.push({
 });
 
 // Luau libraries/constants
-if(luauFunctions.length) standard.push({
+if(luauFunctions.length || typeFunctions.length) standard.push({
 	name: 'support.function.luau',
-	match: '(?<![^.]\\.|:)' + createOptimizedRegex(luauFunctions),
+	match: '(?<![^.]\\.|:)' + createOptimizedRegex([...new Set([...luauFunctions, ...typeFunctions])]),
 });
-if(luauConstants.length) standard.push({
+if(luauConstants.length || typeConstants.length) standard.push({
 	name: 'support.constant.luau',
-	match: '(?<![^.]\\.|:)' + createOptimizedRegex(luauConstants),
+	match: '(?<![^.]\\.|:)' + createOptimizedRegex([...new Set([...luauConstants, ...typeConstants])]),
 });
 
-// Platform libraries/constants
+// Methods, the event names passed to them are scoped within their arguments, e.g. `LLEvents:on("touch_start", ...)`
+if(eventMethods.length) standard.push({
+	begin: '(?<![^.]\\.|:)(' + createOptimizedRegex(eventMethods) + ')\\s*(\\()',
+	beginCaptures: {
+		1: { name: 'support.function.luau' },
+		2: { name: 'punctuation.arguments.begin.luau' },
+	},
+	end: '(\\))',
+	endCaptures: {
+		1: { name: 'punctuation.arguments.end.luau' },
+	},
+	patterns: [
+		...(sluaEvents.length? [['"', 'double'], ["'", 'single']].map(([quote, kind]) => ({
+			match: `(${quote})(${createOptimizedRegex(sluaEvents)})(${quote})`,
+			name: `string.quoted.${kind}.luau`,
+			captures: {
+				1: { name: 'punctuation.definition.string.begin.luau' },
+				2: { name: 'constant.language.events.luau' },
+				3: { name: 'punctuation.definition.string.end.luau' },
+			},
+		})) : []),
+		{
+			match: ',',
+			name: 'punctuation.separator.arguments.luau',
+		},
+		{
+			include: 'source.luau',
+		},
+	],
+});
+if(methods.length) standard.push({
+	name: 'support.function.luau',
+	match: '(?<![^.]\\.|:)' + createOptimizedRegex(methods),
+});
+
+// Platform libraries/constants, the more specific scopes first as they'd match the same text
+if(platformFunctionsRemoved.length) standard.push({
+	name: 'invalid.illegal.support.function.luau',
+	match: '(?<![^.]\\.|:)' + createOptimizedRegex(platformFunctionsRemoved),
+});
+if(platformFunctionsPreferNative.length) standard.push({
+	name: 'support.function.prefer-native.luau',
+	match: '(?<![^.]\\.|:)' + createOptimizedRegex(platformFunctionsPreferNative),
+});
+if(platformFunctionsCompatOnly.length) standard.push({
+	name: 'support.function.llcompat-only.luau',
+	match: '(?<![^.]\\.|:)' + createOptimizedRegex(platformFunctionsCompatOnly),
+});
 if(platformFunctions.length) standard.push({
 	name: 'support.function.luau',
 	match: '(?<![^.]\\.|:)' + createOptimizedRegex(platformFunctions),
@@ -278,13 +375,30 @@ if(platformConstants.length) standard.push({
 	match: '(?<![^.]\\.|:)' + createOptimizedRegex(platformConstants),
 });
 
+
+// Deprecated constants, the others are left to the generic constant rule
+if(sluaConstantsDeprecated.length) standard.push({
+	name: 'invalid.deprecated.constant.luau',
+	match: '(?<![^.]\\.|:)' + createOptimizedRegex(sluaConstantsDeprecated),
+});
+
 sluaGrammar.repository.standard_library.patterns = standard;
 
 
-// Update primitive types
-sluaGrammar.repository.type_literal.patterns
-.find(pattern => pattern.name === 'support.type.primitive.luau')
-.match = `\\b(${Object.keys(slua.types).filter(type => type != 'table').join('|')}|unknown|never|any)\\b`;
+// Update primitive types, the ones SLua adds to Luau (e.g. `uuid`, `quaternion` or `DetectedEvent`) get their own scope
+const luauTypes = ['nil', 'boolean', 'number', 'string', 'vector', 'thread', 'buffer', 'userdata'];
+const typePatterns = sluaGrammar.repository.type_literal.patterns;
+const patternPrimitiveTypes = typePatterns.find(pattern => pattern.name === 'support.type.primitive.luau');
+patternPrimitiveTypes.match = `\\b(${Object.keys(slua.types).filter(type => luauTypes.includes(type)).join('|')}|unknown|never|any)\\b`;
+
+const sluaTypes = Object.keys(slua.types).filter(type => type != 'table' && !luauTypes.includes(type));
+let patternSluaTypes = typePatterns.find(pattern => pattern.name === 'support.type.slua.luau');
+if(!patternSluaTypes)
+{
+	patternSluaTypes = { name: 'support.type.slua.luau' };
+	typePatterns.splice(typePatterns.indexOf(patternPrimitiveTypes) + 1, 0, patternSluaTypes);
+}
+patternSluaTypes.match = `\\b(${sluaTypes.join('|')})\\b`;
 
 
 
@@ -0,0 +1,215 @@
+/*
+	Validates the synthesized SLua definitions against the bundled slua_syntax.json, which is the authoritative source for SLua
+	- Reports missing functions and properties, parameter/return type mismatches, optional-ness differences and extra undocumented entries
+	- Run with `--strict` to exit with a non-zero code if anything was reported, so that drift is caught before docs ship
+		- Known and intended differences are listed in KnownDifferences, they are only reported once they stop differing
+*/
+
+import { readFile } from 'fs/promises';
+import { load } from 'js-yaml';
+import { flattenList, resolveDefinitions } from './lib/definitions.js';
+import { renderFunction, renderType, parseSignature, normalizeType } from './lib/luau-types.js';
+
+const sluaDefinitionsPath = 'src/data/slua_definitions.yaml';
+const sluaSyntaxPath = 'src/data/slua_syntax.json';
+
+const strict = process.argv.includes('--strict');
+
+// Differences that are intended, as `[name, message]` of what they report
+const KnownDifferences = [
+	// The width defaults to 1, see SyntaxOverrides in synthesize-slua-defs.js
+	['bit32.extract', 'parameter 3 (w) is required in slua_syntax.json but optional in the definitions'],
+
+	// Handlers are documented with the arguments they are called with, instead of slua_syntax.json's aliases for them
+	['LLEvents.listeners', 'parameter 1 (eventName) is `EventName` in slua_syntax.json but `string` in the definitions'],
+	['LLEvents.listeners', 'returns `{EventHandler}` in slua_syntax.json but `{[string]: {function}}` in the definitions'],
+	['LLEvents.off', 'parameter 1 (eventName) is `EventName` in slua_syntax.json but `string` in the definitions'],
+	['LLEvents.off', 'parameter 2 (handler) is `EventHandler` in slua_syntax.json but `function` in the definitions'],
+	['LLEvents.on', 'parameter 2 (handler) is `DetectedEventHandler` in slua_syntax.json but `function` in the definitions'],
+	['LLEvents.on', 'parameter 2 (handler) is `EventHandler` in slua_syntax.json but `function` in the definitions'],
+	['LLEvents.on', 'returns `EventHandler` in slua_syntax.json but `function` in the definitions'],
+	['LLEvents.once', 'parameter 2 (handler) is `DetectedEventHandler` in slua_syntax.json but `function` in the definitions'],
+	['LLEvents.once', 'parameter 2 (handler) is `EventHandler` in slua_syntax.json but `function` in the definitions'],
+	['LLEvents.once', 'returns `EventHandler` in slua_syntax.json but `function` in the definitions'],
+	['LLTimers.every', 'parameter 2 (handler) is `(...: any) -> ()` in slua_syntax.json but `(scheduled: number, interval: number)` in the definitions'],
+	['LLTimers.every', 'returns `EventHandler` in slua_syntax.json but `function` in the definitions'],
+	['LLTimers.off', 'parameter 1 (handler) is `EventHandler` in slua_syntax.json but `function` in the definitions'],
+	['LLTimers.once', 'parameter 2 (handler) is `(...: any) -> ()` in slua_syntax.json but `(scheduled: number)` in the definitions'],
+	['LLTimers.once', 'returns `EventHandler` in slua_syntax.json but `function` in the definitions'],
+
+	// Available in SLua, but not in slua_syntax.json yet, see `extra` of SyntaxOverrides in synthesize-slua-defs.js
+	['lljson.sldecode', 'is documented but missing from slua_syntax.json'],
+	['lljson.slencode', 'is documented but missing from slua_syntax.json'],
+	['vector.lerp', 'is documented but missing from slua_syntax.json'],
+
+	// uuid() also takes buffers and uuids
+	['uuid', 'parameter 1 (str) is `string` in slua_syntax.json but `string | buffer | uuid` in the definitions'],
+];
+
+const slua = load(await readFile(sluaDefinitionsPath, 'utf8'));
+const syntax = JSON.parse(await readFile(sluaSyntaxPath, 'utf8')).slua;
+const aliases = Object.fromEntries(syntax.typeAliases.map(alias => [alias.name, alias.definition]));
+
+// slua_syntax.json lists some entries twice, so the same difference is only reported once
+const issues = new Map();
+function report(name, message) {
+	issues.set(`${name}\n${message}`, { name, message });
+}
+
+
+// Whether two type expressions are the same, type aliases of slua_syntax.json are also accepted in their expanded form
+function sameType(expected, documented) {
+	if(expected.type === documented.type) return true;
+	const alias = aliases[expected.type];
+	return !!alias && normalizeType(renderType(alias)).type === documented.type;
+}
+
+// Lists the differences between two parsed signatures
+function compareSignature(expected, documented) {
+	const differences = [];
+	const label = (parameter, index) => `parameter ${index + 1}${parameter.variadic? ' (variadic)' : ` (${parameter.name})`}`;
+
+	if(expected.parameters.length !== documented.parameters.length) {
+		differences.push(`has ${expected.parameters.length} parameters in slua_syntax.json but ${documented.parameters.length} in the definitions`);
+	}
+
+	const count = Math.min(expected.parameters.length, documented.parameters.length);
+	for(let index = 0; index < count; index++)
+	{
+		const expectedParameter = expected.parameters[index];
+		const documentedParameter = documented.parameters[index];
+		const expectedType = normalizeType(expectedParameter.type);
+		const documentedType = normalizeType(documentedParameter.type);
+
+		if(expectedParameter.variadic !== documentedParameter.variadic) {
+			differences.push(`${label(expectedParameter, index)} is ${expectedParameter.variadic? '' : 'not '}variadic in slua_syntax.json`);
+		}
+		if(!sameType(expectedType, documentedType)) {
+			differences.push(`${label(expectedParameter, index)} is \`${expectedParameter.type}\` in slua_syntax.json but \`${documentedParameter.type}\` in the definitions`);
+		}
+		else if(expectedType.optional !== documentedType.optional) {
+			differences.push(`${label(expectedParameter, index)} is ${expectedType.optional? 'optional' : 'required'} in slua_syntax.json but ${documentedType.optional? 'optional' : 'required'} in the definitions`);
+		}
+	}
+
+	const expectedReturn = normalizeType(expected.returnType);
+	const documentedReturn = normalizeType(documented.returnType);
+	if(!sameType(expectedReturn, documentedReturn) || expectedReturn.optional !== documentedReturn.optional) {
+		differences.push(`returns \`${expected.returnType}\` in slua_syntax.json but \`${documented.returnType}\` in the definitions`);
+	}
+
+	return differences;
+}
+
+// Compares every overload of a slua_syntax.json function against the documented overload it matches best
+function validateFunction(fullName, namespace, func) {
+	const documented = resolveDefinitions(slua, fullName)
+		.filter(definition => definition.type?.startsWith('function'))
+		.flatMap(definition => parseSignature(definition.type));
+	if(!documented.length) {
+		report(fullName, 'is missing from the definitions');
+		return;
+	}
+
+	for(const expected of parseSignature(renderFunction(namespace, func)))
+	{
+		const differences = documented
+			.map(signature => compareSignature(expected, signature))
+			.reduce((best, differences) => differences.length < best.length? differences : best);
+		for(const difference of differences) report(fullName, difference);
+	}
+}
+
+// Properties can be constants of a library, or constants, components and access properties of a type
+function validateProperty(fullName, namespace, property) {
+	const library = slua.libraries[namespace];
+	const type = slua.types[namespace];
+	const exists =
+		flattenList(library?.constants).some(constant => constant.name === property.name) ||
+		`${namespace}.${property.name}` in (type?.constants || {}) ||
+		property.name in (type?.components || {}) ||
+		property.name in (type?.access || {});
+	if(!exists) report(fullName, 'is missing from the definitions');
+}
+
+// Anything documented within a validated namespace that slua_syntax.json does not know about
+function validateExtras(namespace, names) {
+	const documented = [
+		...flattenList(slua.libraries[namespace]?.functions),
+		...flattenList(slua.types[namespace]?.methods),
+	];
+	for(const name of new Set(documented.map(definition => definition.name))) {
+		if(!names.has(name)) report(`${namespace}.${name}`, 'is documented but missing from slua_syntax.json');
+	}
+}
+
+
+// Modules, e.g. bit32, lljson, llbase64, vector
+for(const module of syntax.modules)
+{
+	const names = new Set();
+	for(const func of module.functions || []) {
+		if(names.has(func.name)) continue;
+		names.add(func.name);
+		validateFunction(`${module.name}.${func.name}`, module.name, func);
+	}
+	for(const property of module.properties || []) {
+		validateProperty(`${module.name}.${property.name}`, module.name, property);
+	}
+	validateExtras(module.name, names);
+}
+
+// Global functions, e.g. uuid, tovector, quaternion
+const globalNames = new Set();
+for(const func of syntax.globalFunctions)
+{
+	if(globalNames.has(func.name)) continue;
+	globalNames.add(func.name);
+	validateFunction(func.name, null, func);
+}
+
+// Global objects, e.g. LLEvents and LLTimers, their methods are defined by their type alias
+for(const variable of syntax.globalVariables)
+{
+	const methods = aliases[variable.type]?.methods || [];
+	for(const method of methods) validateFunction(`${variable.name}.${method.name}`, variable.name, method);
+	validateExtras(variable.name, new Set(methods.map(method => method.name)));
+}
+
+// Classes, e.g. uuid, quaternion, DetectedEvent; metamethods are covered by the operators instead
+for(const cls of syntax.classes)
+{
+	for(const method of cls.methods || []) {
+		if(method.name.startsWith('__')) continue;
+		validateFunction(`${cls.name}.${method.name}`, cls.name, method);
+	}
+	for(const property of cls.properties || []) {
+		validateProperty(`${cls.name}.${property.name}`, cls.name, property);
+	}
+}
+
+
+const known = new Set(KnownDifferences.map(([name, message]) => `${name}\n${message}`));
+const knownCount = [...issues.keys()].filter(key => known.has(key)).length;
+for(const key of known) {
+	if(issues.has(key)) issues.delete(key);
+	else {
+		const [name, message] = key.split('\n');
+		report(name, `no longer differs, remove it from KnownDifferences: ${message}`);
+	}
+}
+
+if(!issues.size) {
+	console.log(`SLua definitions match slua_syntax.json, apart from ${knownCount} known differences`);
+}
+else {
+	let previous = null;
+	for(const { name, message } of [...issues.values()].sort((a, b) => a.name.localeCompare(b.name)))
+	{
+		if(name !== previous) console.log(name);
+		console.log(`  - ${message}`);
+		previous = name;
+	}
+	console.log(`\n${issues.size} differences between the SLua definitions and slua_syntax.json`);
+	if(strict) process.exitCode = 1;
+}
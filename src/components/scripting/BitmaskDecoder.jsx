@@ -0,0 +1,185 @@
+import { useMemo, useCallback } from 'preact/hooks';
+import { signal, computed } from '@preact/signals';
+import classNames from 'classnames';
+
+import ll_constants from 'virtual:ll-constants';
+
+const selectedFamily = signal('CHANGED_');
+const input = signal('');
+const variable = signal('value');
+
+// Flag constants grouped by their family, see inferFlagFamilies in src/plugins/ll-index.js
+const families = ll_constants.reduce((families, constant) => {
+	if(constant.flags) (families[constant.flags] ||= []).push({ ...constant, value: Number(constant.value) >>> 0 });
+	return families;
+}, {});
+
+// Accepts decimal, hexadecimal and negative numbers as scripts print them, e.g. `-1`, `0x80` or `2048`
+// Integers are 32 bits wide, so the value is handled as unsigned
+const value = computed(() => {
+	const text = input.value.trim();
+	if(!/^-?(\d+|0x[0-9a-f]+)$/i.test(text)) return null;
+	const number = Number(text.replace(/^-/, ''));
+	return ((text.startsWith('-')? -number : number) >>> 0);
+});
+
+function hex(number) {
+	return '0x' + number.toString(16).toUpperCase();
+}
+
+// `bit32.btest` is true if any of the given bits are set, so checking several flags at once is done by combining them
+function flagExpressions(name, flags) {
+	if(!flags.length) return [];
+	if(flags.length === 1) return [`bit32.btest(${name}, ${flags[0].name})`];
+	const mask = `bit32.bor(${flags.map(({ name }) => name).join(', ')})`;
+	return [
+		`-- Any of them`,
+		`bit32.btest(${name}, ${mask})`,
+		`-- All of them`,
+		`bit32.band(${name}, ${mask}) == ${mask}`,
+	];
+}
+
+export default function BitmaskDecoder() {
+	const familyNames = useMemo(() => Object.keys(families).sort(), []);
+	const flags = families[selectedFamily.value] || [];
+	const setFlags = value.value === null? [] : flags.filter(flag => flag.value && (value.value & flag.value) === flag.value);
+
+	// Bits that aren't covered by any of the family's constants, e.g. from a newer flag or the wrong family
+	const unknownBits = value.value === null? 0 : flags.reduce((bits, flag) => (bits & ~flag.value) >>> 0, value.value);
+
+	// Clicking a flag toggles its bits, so a value can be composed as well
+	const toggleFlag = useCallback((flag) => {
+		const current = value.value ?? 0;
+		input.value = String(((current & flag.value) === flag.value? current & ~flag.value : current | flag.value) >>> 0);
+	}, []);
+
+	const onFamily = useCallback((event) => {
+		selectedFamily.value = event.target.value;
+	}, []);
+
+
+
+	return (
+		<div class="bitmask-decoder not-content">
+			<div class="options">
+				<label>
+					<span>Value</span>
+					<input class={classNames('number', { invalid: input.value.trim() && value.value === null })} type="text" inputmode="numeric" placeholder="e.g. 0x80 or 128" value={input.value} onInput={event => input.value = event.target.value}/>
+				</label>
+				<label>
+					<span>Flags</span>
+					<select onChange={onFamily} value={selectedFamily.value}>
+						{familyNames.map(family => <option value={family}>{family}*</option>)}
+					</select>
+				</label>
+				<label>
+					<span>Variable</span>
+					<input class="variable" type="text" spellcheck={false} value={variable.value} onInput={event => variable.value = event.target.value}/>
+				</label>
+			</div>
+			{value.value !== null? (
+			<p class="summary">
+				<code>{value.value | 0}</code> = <code>{hex(value.value)}</code> sets {setFlags.length} of {flags.length} flags
+				{unknownBits? <> and <code>{hex(unknownBits)}</code> that none of them cover</> : null}
+			</p>
+			) : null}
+			<ul class="flags">
+				{flags.map(flag => (
+					<li>
+						<button type="button" class={classNames({ set: setFlags.includes(flag) })} aria-pressed={setFlags.includes(flag)} title={flag.tooltip || null} onClick={() => toggleFlag(flag)}>
+							<code class="name">{flag.name}</code>
+							<code class="hex">{hex(flag.value)}</code>
+						</button>
+					</li>
+				))}
+			</ul>
+			{setFlags.length? (
+			<pre class="expression"><code>{flagExpressions(variable.value.trim() || 'value', setFlags).join('\n')}</code></pre>
+			) : null}
+			<style>
+				{`@layer components {
+					.bitmask-decoder {
+						.options {
+							display: flex;
+							flex-wrap: wrap;
+							gap: 1rem;
+							margin-bottom: 1rem;
+
+							label {
+								display: flex;
+								flex-direction: column;
+								gap: 0.25rem;
+								font-size: var(--sl-text-sm);
+								color: var(--sl-color-gray-3);
+							}
+							input, select {
+								height: 2rem;
+								padding-inline: 0.75rem;
+								border: 1px solid var(--sl-color-gray-5);
+								border-radius: 0.25rem;
+								background-color: var(--sl-color-black);
+								color: var(--sl-color-gray-2);
+								font-family: var(--__sl-font-mono);
+								font-size: var(--sl-text-sm);
+
+								&:hover {
+									border-color: var(--sl-color-gray-2);
+									color: var(--sl-color-white);
+								}
+								&.invalid {
+									border-color: var(--sl-color-red);
+								}
+							}
+							option {
+								background-color: var(--sl-color-bg-nav);
+								color: var(--sl-color-gray-1)
+							}
+						}
+						.summary {
+							margin-bottom: 1rem;
+						}
+						.flags {
+							display: grid;
+							grid-template-columns: repeat(auto-fill, minmax(22rem, 1fr));
+							gap: 0.25rem;
+							margin: 0 0 1rem;
+							padding: 0;
+							list-style: none;
+
+							button {
+								display: flex;
+								justify-content: space-between;
+								gap: 1rem;
+								width: 100%;
+								padding: 0.25rem 0.5rem;
+								border: 1px solid var(--sl-color-gray-6);
+								border-radius: 0.25rem;
+								background: transparent;
+								color: var(--sl-color-gray-3);
+								font-size: var(--sl-text-sm);
+								text-align: start;
+								cursor: pointer;
+
+								&.set {
+									border-color: var(--sl-color-accent);
+									background-color: var(--sl-color-accent-low);
+									color: var(--sl-color-white);
+								}
+							}
+							code { background: none }
+							.hex { font-variant-numeric: tabular-nums }
+						}
+						.expression {
+							padding: 0.75rem 1rem;
+							border: 1px solid var(--sl-color-gray-5);
+							background-color: var(--sl-color-black);
+							font-size: var(--sl-text-sm);
+							overflow-x: auto;
+						}
+					}
+				}`}
+			</style>
+		</div>
+	);
+}
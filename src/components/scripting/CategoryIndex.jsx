@@ -0,0 +1,240 @@
+import { useEffect, useMemo } from 'preact/hooks';
+import { signal, effect } from '@preact/signals';
+import classNames from 'classnames';
+
+import ll_index from 'virtual:ll-index';
+import { default as Translations } from '~/data/i18n/categories.en.json';
+import { duplicateLibrary } from '~/data/lsl_to_slua.js';
+
+const view = signal('gallery'); // 'gallery' | 'list' | 'table'
+const Views = {
+	gallery: { label: 'Gallery View', icon: 'M4 4H10V10H4V4ZM14 4H20V10H14V4ZM4 14H10V20H4V14ZM14 14H20V20H14V14Z' },
+	list: { label: 'List View', icon: 'M4 6H20V4H4V6ZM4 13H20V11H4V13ZM4 20H20V18H4V20Z' },
+	table: { label: 'Table View', icon: 'M4 6H14V4H4V6ZM16 6H20V4H16V6ZM4 13H14V11H4V13ZM16 13H20V11H16V13ZM4 20H14V18H4V20ZM16 20H20V18H16V20Z' },
+};
+
+// Cards only preview the first few functions, the rest are a click away on the category route
+const GalleryPreview = 8;
+
+// The view is mirrored in the URL like LLTable's state, e.g. `?view=table`
+function restoreState() {
+	const params = new URLSearchParams(location.search);
+	view.value = params.get('view') in Views? params.get('view') : 'gallery';
+}
+
+function syncState() {
+	const url = new URL(location.href);
+	if(view.value !== 'gallery') url.searchParams.set('view', view.value);
+	else url.searchParams.delete('view');
+	if(url.href !== location.href) history.replaceState(history.state, '', url);
+}
+
+function categoryHref(category) {
+	return `/reference/library/ll/category/${category}/`;
+}
+
+function FunctionLinks({ functions }) {
+	return functions.map(({ name, removed }, index) => (
+		<>{index? ', ' : null}<a href={`/reference/library/ll/${name.toLowerCase()}/`} class={classNames({ removed })} title={removed? `Removed from ll — ${removed}` : null}><code>{name}</code></a></>
+	));
+}
+
+function Alternative({ library }) {
+	if(!library) return null;
+	return <p class="alternative" title={library.description}>Also see the <a href={library.href}>{library.title}</a></p>;
+}
+
+function Guides({ guides }) {
+	if(!guides?.length) return null;
+	return <p class="guides">Guides: {guides.map(({ title, href }, index) => <>{index? ', ' : null}<a href={href}>{title}</a></>)}</p>;
+}
+
+// `guides` maps categories to the feature pages covering them, as collected by src/components/Categories.astro
+export default function CategoryIndex({ guides = {} }) {
+	// Only restore from the URL once hydrated, the server rendered the default state
+	useEffect(() => {
+		restoreState();
+		const dispose = effect(syncState);
+		window.addEventListener('popstate', restoreState);
+		return () => {
+			dispose();
+			window.removeEventListener('popstate', restoreState);
+		};
+	}, []);
+
+	const categories = useMemo(() => {
+		const categories = Array.from(new Set(ll_index.flatMap(({ categories }) => categories)));
+		return categories
+			.map(category => ({
+				category,
+				title: Translations[category] || category,
+				functions: ll_index.filter(({ categories }) => categories.includes(category)).sort((a, b) => a.name.localeCompare(b.name)),
+				library: duplicateLibrary(category),
+				guides: guides[category] || [],
+			}))
+			.sort((a, b) => a.title.localeCompare(b.title));
+	}, [guides]);
+
+
+
+	return (
+		<div class="category-index not-content">
+			<div class="options">
+				<div class="view" role="group" aria-label="View Mode">
+					{Object.entries(Views).map(([key, { label, icon }]) => (
+						<button type="button" class={classNames({ selected: view.value === key })} aria-label={label} title={label} onClick={() => view.value = key}>
+							<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d={icon}></path></svg>
+						</button>
+					))}
+				</div>
+				<span class="count">{categories.length} categories</span>
+			</div>
+
+			{view.value === 'table'? (
+			<table class="categories">
+				<thead>
+					<tr>
+						<th scope="col">Category</th>
+						<th scope="col">Functions</th>
+						<th scope="col">Library</th>
+						<th scope="col">Guides</th>
+					</tr>
+				</thead>
+				<tbody>
+					{categories.map(({ category, title, functions, library, guides }) => (
+						<tr id={category}>
+							<td><a href={categoryHref(category)}>{title}</a></td>
+							<td class="count">{functions.length}</td>
+							<td>{library? <a href={library.href} title={library.description}>{library.title}</a> : '—'}</td>
+							<td>{guides.length? guides.map(({ title, href }, index) => <>{index? ', ' : null}<a href={href}>{title}</a></>) : '—'}</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+			) : view.value === 'list'? (
+			<div class="list">
+				{categories.map(({ category, title, functions, library, guides }) => (
+					<section id={category}>
+						<h3><a href={categoryHref(category)}>{title}</a> <span class="count">{functions.length}</span></h3>
+						<p class="functions"><FunctionLinks functions={functions}/></p>
+						<Alternative library={library}/>
+						<Guides guides={guides}/>
+					</section>
+				))}
+			</div>
+			) : (
+			<div class="gallery">
+				{categories.map(({ category, title, functions, library, guides }) => (
+					<article id={category} class="card">
+						<h3><a href={categoryHref(category)}>{title}</a> <span class="count">{functions.length}</span></h3>
+						<p class="functions">
+							<FunctionLinks functions={functions.slice(0, GalleryPreview)}/>
+							{functions.length > GalleryPreview? <> and <a href={categoryHref(category)}>{functions.length - GalleryPreview} more</a></> : null}
+						</p>
+						<Alternative library={library}/>
+						<Guides guides={guides}/>
+					</article>
+				))}
+			</div>
+			)}
+			<style>
+				{`@layer components {
+					.category-index {
+						.options {
+							display: flex;
+							align-items: center;
+							justify-content: space-between;
+							margin-bottom: 20px;
+						}
+						.view {
+							display: inline-flex;
+
+							button {
+								display: inline-block;
+								appearance: none;
+								height: 2rem;
+								padding: 0 0.8rem;
+								border: 0;
+								border-radius: 0;
+								background-color: oklch(50% 0 0 / 0.2);
+								color: inherit;
+								cursor: pointer;
+
+								&:first-child {
+									border-radius: 0.25rem 0 0 0.25rem;
+								}
+								&:last-child {
+									border-radius: 0 0.25rem 0.25rem 0;
+								}
+								&.selected {
+									background-color: var(--sl-color-accent);
+									color: var(--sl-color-black);
+								}
+							}
+						}
+						.count {
+							color: var(--sl-color-gray-3);
+							font-size: var(--sl-text-sm);
+							font-weight: normal;
+						}
+
+						h3 {
+							margin: 0 0 0.5rem;
+							font-size: var(--sl-text-h5);
+						}
+						p {
+							margin: 0.25rem 0 0;
+							font-size: var(--sl-text-sm);
+						}
+						a {
+							text-decoration: none;
+							&:hover { text-decoration: underline }
+						}
+						a.removed code {
+							text-decoration: line-through;
+							opacity: 0.7;
+						}
+						.alternative, .guides {
+							color: var(--sl-color-gray-3);
+						}
+
+						.gallery {
+							display: grid;
+							grid-template-columns: repeat(auto-fill, minmax(16rem, 1fr));
+							gap: 1rem;
+
+							.card {
+								padding: 1rem;
+								border: 1px solid var(--sl-color-gray-5);
+								background-color: var(--sl-color-black);
+							}
+						}
+						.list section + section {
+							margin-top: 1.5rem;
+						}
+						.categories {
+							width: 100%;
+							border-collapse: collapse;
+							font-size: var(--sl-text-sm);
+
+							th {
+								text-align: start;
+								border-bottom: 1px solid var(--sl-color-gray-5);
+							}
+							td, th {
+								padding: 0.5rem;
+								vertical-align: top;
+							}
+							tr + tr td {
+								border-top: 1px solid var(--sl-color-gray-6);
+							}
+							td.count {
+								font-variant-numeric: tabular-nums;
+							}
+						}
+					}
+				}`}
+			</style>
+		</div>
+	);
+}
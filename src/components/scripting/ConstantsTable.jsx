@@ -0,0 +1,317 @@
+import { useEffect, useCallback, useMemo } from 'preact/hooks';
+import { signal, effect, computed, batch } from '@preact/signals';
+import classNames from 'classnames';
+
+import ll_constants from 'virtual:ll-constants';
+import { fuzzyScore, markIndices, markLines } from './fuzzy.js';
+import { debounce } from './debounce.js';
+
+const selectedFamily = signal(null);
+const search = signal('');
+
+// The state is mirrored in the URL like LLTable's, e.g. `?family=PRIM&search=type#PRIM_TYPE_BOX`
+function restoreState() {
+	const params = new URLSearchParams(location.search);
+	batch(() => {
+		selectedFamily.value = params.get('family') || null;
+		search.value = params.get('search') || '';
+	});
+
+	if(location.hash) requestAnimationFrame(() => {
+		document.getElementById(decodeURIComponent(location.hash.substring(1)))?.scrollIntoView({ block: 'center' });
+	});
+}
+
+function syncState() {
+	const url = new URL(location.href);
+	const params = {
+		family: selectedFamily.value,
+		search: search.value,
+	};
+	for(const [key, value] of Object.entries(params)) {
+		if(value) url.searchParams.set(key, value);
+		else url.searchParams.delete(key);
+	}
+	if(url.href !== location.href) history.replaceState(history.state, '', url);
+}
+
+const query = computed(() => search.value.trim());
+
+// Constants are grouped by the first part of their name, e.g. `PRIM_*`, those without any siblings end up in 'Other'
+function groupFamilies(items) {
+	const counts = {};
+	for(const { name } of items) {
+		const prefix = name.split('_')[0];
+		counts[prefix] = (counts[prefix] || 0) + 1;
+	}
+	return Object.fromEntries(items.map(({ name }) => {
+		const prefix = name.split('_')[0];
+		return [name, counts[prefix] > 1? prefix : 'Other'];
+	}));
+}
+
+// The matched indices are in the same order: [name, value, tooltip]
+function matchItem(item) {
+	// Numbers are looked up by their exact value instead, e.g. `0x80` or `128` finds CHANGED_OWNER, `-1` and `0xFFFFFFFF` are the same
+	if(/^-?(\d+|0x[0-9a-f]+)$/i.test(query.value)) {
+		if(!item.hex || (Number(query.value) >>> 0) !== (Number(item.value) >>> 0)) return null;
+		const valueText = `${item.value} ${item.hex}`;
+		return { score: 1, indices: [[], Array.from(valueText, (_, index) => index).filter(index => valueText[index] !== ' '), []] };
+	}
+
+	return fuzzyScore(query.value, [
+		{ text: item.name, weight: 3 },
+		{ text: [item.value, item.hex].filter(Boolean).join(' '), subsequence: false },
+		{ text: item.tooltip, weight: 0.5, subsequence: false },
+	]);
+}
+
+function sortByRelevance(a, b) {
+	const scoreDifference = (b.match?.score || 0) - (a.match?.score || 0);
+	if(scoreDifference) return scoreDifference;
+
+	// Deprecated constants last, otherwise keep the order of the definitions, which keeps related constants together
+	return (a.deprecated? 1 : 0) - (b.deprecated? 1 : 0) || a.index - b.index;
+}
+
+function familyLabel(family) {
+	return family === 'Other'? family : `${family}_*`;
+}
+
+function Constant({ name, type, value, hex, tooltip, deprecated, since, changed, usedBy, match }) {
+	// The value field is `value hex` joined, so split the matched indices back up
+	const valueMarks = match?.indices[1].filter(index => index < value.length);
+	const hexMarks = match?.indices[1].filter(index => index > value.length).map(index => index - value.length - 1);
+	return (
+		<tr id={name} class={classNames({ deprecated })}>
+			<td class="name">
+				<code dangerouslySetInnerHTML={{ __html: markIndices(name, match?.indices[0]) }}/>
+				{deprecated? <span class="badge caution" title="This constant is deprecated and should no longer be used">Deprecated</span> : null}
+				{since? <span class="badge success" title={`Added to SLua on ${since}`}>Since {since}</span> : null}
+				{changed? <span class="badge note" title={`Was: ${changed.before}`}>Changed {changed.date}</span> : null}
+			</td>
+			<td class="value">
+				<code dangerouslySetInnerHTML={{ __html: markIndices(value, valueMarks) }}/>
+				{hex? <code class="hex" dangerouslySetInnerHTML={{ __html: markIndices(hex, hexMarks) }}/> : null}
+				<span class="type">{type}</span>
+			</td>
+			<td class="description">
+				{markLines(tooltip, match?.indices[2]).filter(line => line.trim()).map(line => <p dangerouslySetInnerHTML={{ __html: line }}/>)}
+				{usedBy.length? (
+				<p class="used-by">
+					Used by {usedBy.map((func, index) => <>{index? ', ' : null}<a href={`/reference/library/ll/${func.toLowerCase()}/`}><code>ll.{func}</code></a></>)}
+				</p>
+				) : null}
+			</td>
+		</tr>
+	);
+}
+
+export default function ConstantsTable() {
+	// Only restore from the URL once hydrated, the server rendered the default state
+	useEffect(() => {
+		restoreState();
+		const dispose = effect(syncState);
+		window.addEventListener('popstate', restoreState);
+		return () => {
+			dispose();
+			window.removeEventListener('popstate', restoreState);
+		};
+	}, []);
+
+	const { fullItems, families, familyOf } = useMemo(() => {
+		const fullItems = ll_constants.map((item, index) => ({ ...item, index })); // Precomputed from slua_definitions.yaml, see src/plugins/ll-index.js
+		const familyOf = groupFamilies(fullItems);
+		const families = Array.from(new Set(Object.values(familyOf))).sort((a, b) => (a === 'Other') - (b === 'Other') || a.localeCompare(b));
+		return { fullItems, families, familyOf };
+	}, []);
+
+	const groups = useMemo(() => {
+		const familyItems = selectedFamily.value? fullItems.filter(({ name }) => familyOf[name] === selectedFamily.value) : fullItems;
+		const items = query.value? familyItems
+			.map(item => ({ ...item, match: matchItem(item) }))
+			.filter(({ match }) => match) : familyItems;
+
+		// If search then sort the families by their best matching constant
+		return families
+			.map(family => {
+				const members = items.filter(({ name }) => familyOf[name] === family).sort(sortByRelevance);
+				return { family, items: members, score: members[0]?.match?.score || 0 };
+			})
+			.filter(({ items }) => items.length)
+			.sort((a, b) => (b.score - a.score) || families.indexOf(a.family) - families.indexOf(b.family));
+	}, [fullItems, query.value, selectedFamily.value]);
+
+	const onChange = useCallback((event) => {
+		selectedFamily.value = event.target.value || null;
+	}, []);
+
+	const onSearch = useCallback(debounce((event) => {
+		search.value = event.target.value;
+	}, 20), []);
+
+
+
+	return (
+		<div class="constants-view not-content">
+			<div class="options">
+				<input class="search" type="search" placeholder="Fuzzy Search" value={search.value} onInput={onSearch} />
+				<label class="families dropdown">
+					<span class="sr-only">Select prefix</span>
+					<select onChange={onChange} value={selectedFamily.value || ''}>
+						<option value="">All Constants</option>
+						{families.map(family => <option value={family}>{familyLabel(family)}</option>)}
+					</select>
+					<svg aria-hidden="true" class="icon caret" width="16" height="16" viewBox="0 0 24 24" fill="currentColor" style="--sl-icon-size: 1em;"><path d="M17 9.17a1 1 0 0 0-1.41 0L12 12.71 8.46 9.17a1 1 0 1 0-1.41 1.42l4.24 4.24a1.002 1.002 0 0 0 1.42 0L17 10.59a1.002 1.002 0 0 0 0-1.42Z"></path></svg>
+				</label>
+				<span class="count">{groups.reduce((count, { items }) => count + items.length, 0)} constants</span>
+			</div>
+			<table class="constants">
+				<thead>
+					<tr>
+						<th scope="col">Constant</th>
+						<th scope="col">Value</th>
+						<th scope="col">Description</th>
+					</tr>
+				</thead>
+				{groups.map(({ family, items }) => (
+					<tbody>
+						<tr class="family">
+							<th scope="rowgroup" colSpan={3}>{familyLabel(family)}</th>
+						</tr>
+						{items.map(item => <Constant {...item}/>)}
+					</tbody>
+				))}
+			</table>
+			<style>
+				{`@layer components {
+					.constants-view {
+						.options {
+							display: grid;
+							grid-template-columns: auto auto 1fr;
+							grid-gap: 20px;
+							align-items: baseline;
+							margin-bottom: 20px;
+						}
+						.search {
+							height: 2rem;
+							padding-inline-start: 0.75rem;
+							padding-inline-end: 0.5rem;
+							border: 1px solid var(--sl-color-gray-5);
+							border-radius: 0.25rem;
+							background-color: var(--sl-color-black);
+							color: var(--sl-color-gray-2);
+							font-size: var(--sl-text-sm);
+
+							&:hover {
+								border-color: var(--sl-color-gray-2);
+								color: var(--sl-color-white);
+							}
+						}
+						.families {
+							position: relative;
+							height: 2rem;
+							cursor: pointer;
+
+							select {
+								appearance: none;
+								height: 100%;
+								padding: 0 0.8rem;
+								border: 0;
+								background-color: transparent;
+								color: inherit;
+								text-overflow: ellipsis;
+								cursor: pointer;
+
+								option {
+									background-color: var(--sl-color-bg-nav);
+									color: var(--sl-color-gray-1)
+								}
+							}
+
+							.icon {
+								position: absolute;
+								top: 50%;
+								transform: translateY(-50%);
+								pointer-events: none;
+							}
+							.caret {
+								inset-inline-end: 0;
+							}
+						}
+						.count {
+							justify-self: end;
+							color: var(--sl-color-gray-3);
+							font-size: var(--sl-text-sm);
+						}
+
+						.constants {
+							width: 100%;
+							border-collapse: collapse;
+							font-size: var(--sl-text-sm);
+
+							th {
+								text-align: start;
+								border-bottom: 1px solid var(--sl-color-gray-5);
+							}
+							td, th {
+								padding: 0.5rem;
+								vertical-align: top;
+							}
+							tr + tr td {
+								border-top: 1px solid var(--sl-color-gray-6);
+							}
+							.family th {
+								padding-top: 1.5rem;
+								font-family: var(--__sl-font-mono);
+								color: var(--sl-color-white);
+							}
+							tr.deprecated .name code {
+								text-decoration: line-through;
+								opacity: 0.7;
+							}
+							.name, .value {
+								white-space: nowrap;
+							}
+							.value {
+								font-variant-numeric: tabular-nums;
+
+								code { display: block }
+								.hex, .type { color: var(--sl-color-gray-3) }
+								.type { font-size: var(--sl-text-xs) }
+							}
+							p { margin: 0 0 0.25rem }
+							.used-by {
+								color: var(--sl-color-gray-3);
+								a { text-decoration: none }
+								a:hover { text-decoration: underline }
+							}
+						}
+
+						.badge {
+							display: inline-block;
+							margin-inline-start: 0.5em;
+							padding: 0 0.35em;
+							border: 1px solid var(--sl-color-orange);
+							border-radius: 0.25rem;
+							background-color: var(--sl-color-orange-low);
+							color: var(--sl-color-white);
+							font-size: var(--sl-text-xs);
+							line-height: 1.5;
+							cursor: help;
+
+							&.success {
+								border-color: var(--sl-color-green);
+								background-color: var(--sl-color-green-low);
+							}
+							&.note {
+								border-color: var(--sl-color-blue);
+								background-color: var(--sl-color-blue-low);
+							}
+						}
+					}
+				}`}
+			</style>
+		</div>
+	);
+}
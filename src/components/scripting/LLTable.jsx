@@ -1,155 +1,220 @@
-import { useState, useEffect, useRef, useCallback, useMemo } from 'preact/hooks';
-import { signal, effect, computed } from '@preact/signals';
+import { useEffect, useCallback, useMemo } from 'preact/hooks';
+import { signal, effect, computed, batch } from '@preact/signals';
 import classNames from 'classnames';
 
-import ll_categories from '~/data/ll_categories.json';
-import lsl_definitions from '~/data/lsl_definitions.json';
+import ll_index from 'virtual:ll-index';
 import { default as Translations } from '~/data/i18n/categories.en.json';
+import { FunctionTraits, duplicateLibrary } from '~/data/lsl_to_slua.js';
+import { fuzzyScore, markIndices, markLines } from './fuzzy.js';
+import { debounce } from './debounce.js';
 
-const RemovedFunctions = {
-	'SetTimerEvent': 'Conflicts with LLTimers',
-	'ResetTime': 'Conflicts with LLTimers',
-	'GetAndResetTime': 'Conflicts with LLTimers',
-	'SetMemoryLimit': 'Not applicable to SLua',
-};
-const DuplicateFunctions = {
-	'Abs': 'math.abs',
-	'Fabs': 'math.fabs',
-	'Ceil': 'math.ceil',
-	'Round': 'math.round',
-	'Floor': 'math.floor',
-	'ModPow': '(a^b)%c',
-	'Sqrt': 'math.sqrt',
-	'Sin': 'math.sin',
-	'Cos': 'math.cos',
-	'Tan': 'math.tan',
-	'Asin': 'math.asin',
-	'Acos': 'math.acos',
-	'Atan': 'math.atan',
-	'Atan2': 'math.atan2',
-	'Pow': 'math.pow',
-	'Exp': 'math.exp',
-	'Log': 'math.log',
-	'Log10': 'math.log10',
-	'Frand': 'math.random',
-	'Char': 'string.char, utf8.char',
-	'Ord': 'string.byte, utf8.codepoint',
-	'GetTime': 'os.clock',
-	'GetUnixTime': 'os.time',
-	'GetTimestamp': 'os.date',
-	'GetDate': 'os.date',
-	'StringLength': '#string, string.len, utf8.len',
-	'GetListLength': '#table',
-	'ToUpper': 'string.upper',
-	'ToLower': 'string.lower',
-	'VecMag': 'vector.magnitude',
-	'VecNorm': 'vector.normalize',
-	'VecDist': 'vector.magnitude(v1 - v2)',
-	'Rot2Fwd': 'quaternion.tofwd',
-	'Rot2Left': 'quaternion.toleft',
-	'Rot2Up': 'quaternion.toup',
-};
-const DuplicateLibraries = {
-	'json': {
-		title: 'lljson Library',
-		description: 'The lljson library in SLua provides enhanced functionality compared to the original LSL JSON functions. It is recommended to use the SLua lljson functions for improved performance and features.',
-	},
-	'math': {
-		title: 'math Library',
-		description: 'The math library in SLua is based on the standard Luau math library, which offers a comprehensive set of mathematical functions and constants. It is recommended to use the SLua math library for better performance and additional features compared to the original LSL math functions.',
-	},
-	'string': {
-		title: 'string Library',
-		description: 'The string library in SLua is based on the standard Luau string library, which provides a wide range of functions for string manipulation and processing. However the original LSL functions are UTF8 friendly, so may be preferred in a lot of cases.',
-	}
-};
-
-const selectedCategory = signal(null);
+const selectedCategory = signal(undefined); // undefined until restored from the URL, null for all categories
 const view = signal('list'); // 'list' | 'details'
 const search = signal('');
+const traitFilters = signal({}); // trait → 'only' | 'hide'
 
-function sortByRelevance(a, b) {
-	const searchTerm = search.value.toLowerCase();
-	const aNameIndex = a.name.toLowerCase().indexOf(searchTerm);
-	const bNameIndex = b.name.toLowerCase().indexOf(searchTerm);
-	if(aNameIndex !== -1 && bNameIndex === -1) return -1;
-	if(aNameIndex === -1 && bNameIndex !== -1) return 1;
-	if(aNameIndex !== bNameIndex) return aNameIndex - bNameIndex;
+// The state is mirrored in the URL so that filtered views can be shared and restored
+// e.g. `?category=physics&search=impulse&view=details&hide=experience#ll.ApplyImpulse`, the hash scrolls to that function
+// `pageCategory` is the category of a per-category route, see src/pages/reference/library/ll/category/[category].astro
+// - Those routes start out filtered, so picking all categories there is kept as `?category=all`
+function restoreState(pageCategory) {
+	const params = new URLSearchParams(location.search);
+	const filters = {};
+	for(const filter of ['only', 'hide']) {
+		for(const trait of params.get(filter)?.split(',') || []) {
+			if(trait in FunctionTraits) filters[trait] = filter;
+		}
+	}
 	
-	return a.name.localeCompare(b.name);
+	batch(() => {
+		const category = params.get('category');
+		selectedCategory.value = category === 'all'? null : category || pageCategory;
+		search.value = params.get('search') || '';
+		view.value = params.get('view') === 'details'? 'details' : 'list';
+		traitFilters.value = filters;
+	});
+	
+	if(location.hash) requestAnimationFrame(() => {
+		document.getElementById(decodeURIComponent(location.hash.substring(1)))?.scrollIntoView({ block: 'center' });
+	});
 }
 
-function debounce(func, wait) {
-	let timeout;
-	return function() {
-		const context = this;
-		const args = arguments;
-		const later = function() {
-			timeout = null;
-			func.apply(context, args);
-		};
-		clearTimeout(timeout);
-		timeout = setTimeout(later, wait);
+function syncState(pageCategory) {
+	const url = new URL(location.href);
+	const filters = Object.entries(traitFilters.value);
+	const params = {
+		category: selectedCategory.value === pageCategory? null : selectedCategory.value || 'all',
+		search: search.value,
+		view: view.value === 'list'? null : view.value,
+		only: filters.filter(([, filter]) => filter === 'only').map(([trait]) => trait).join(','),
+		hide: filters.filter(([, filter]) => filter === 'hide').map(([trait]) => trait).join(','),
 	};
-};
+	for(const [key, value] of Object.entries(params)) {
+		if(value) url.searchParams.set(key, value);
+		else url.searchParams.delete(key);
+	}
+	if(url.href === location.href) return;
+	
+	// Switching the category or view is a new entry for the Back button, typing a search or toggling filters only updates it
+	const current = new URLSearchParams(location.search);
+	const navigated = ['category', 'view'].some(key => current.get(key) !== url.searchParams.get(key));
+	if(navigated) history.pushState(null, '', url);
+	else history.replaceState(history.state, '', url);
+}
 
-function convertType(type, value) {
-	// If a string but is actually UUID format, convert to uuid
-	if(type == 'string' && typeof value === 'string' && /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(value)) return 'uuid';
+// The search query without an `ll.`/`llcompat.` prefix, as people tend to type full function names
+const query = computed(() => search.value.replace(/^\s*ll(compat)?\.?/i, ''));
+
+// The fields a function is searched by, built once per function rather than on every keystroke
+const searchFields = new WeakMap();
+function fieldsOf(item) {
+	if(!searchFields.has(item)) searchFields.set(item, [
+		{ text: item.name, weight: 3 },
+		{ text: item.arguments.map(({ name }) => name).join(' ') },
+		{ text: item.tooltip, weight: 0.5, subsequence: false },
+		{ text: item.categories.map(category => Translations[category] || category).join(', ') },
+	].map(field => ({ ...field, lower: field.text.toLowerCase() })));
+	return searchFields.get(item);
+}
+
+// Scores a function across its name, argument names, tooltip and categories, see fuzzy.js
+// The matched indices are in the same order: [name, arguments, tooltip, categories]
+function matchItem(item) {
+	return fuzzyScore(query.value, fieldsOf(item));
+}
+
+function sortByRelevance(a, b) {
+	const scoreDifference = (b.match?.score || 0) - (a.match?.score || 0);
+	if(scoreDifference) return scoreDifference;
 	
-	// Map types from LSL to SLua
-	if(type === 'key') return 'uuid';
-	if(type === 'rotation') return 'quaternion';
-	if(type === 'integer') return 'number';
-	if(type === 'float') return 'number';
-	if(type === 'string') return 'string';
-	if(type === 'vector') return 'vector';
-	if(type === 'list') return 'table';
-	if(type === 'boolean') return 'boolean';
-	return type; // leave as-is
+	return a.name.localeCompare(b.name);
+}
+
+// Splits the matched indices of the joined argument names back up per argument
+function argumentMarks(args, indices = []) {
+	let offset = 0;
+	return args.map(({ name }) => {
+		const marks = indices.filter(index => index >= offset && index < offset + name.length).map(index => index - offset);
+		offset += name.length + 1;
+		return marks;
+	});
+}
+
+// Whether a function passes the trait filter toggles, e.g. "only pure functions" or "hide experience functions"
+function passesTraitFilters({ traits = [] }) {
+	return Object.entries(traitFilters.value).every(([trait, filter]) => (filter === 'only') === traits.includes(trait));
 }
 
-export default function LLTable() {
+// Cycles a trait filter toggle through showing all, only those with the trait and hiding those with the trait
+function toggleTraitFilter(trait) {
+	const next = { undefined: 'only', only: 'hide', hide: undefined }[traitFilters.value[trait]];
+	const filters = { ...traitFilters.value };
+	if(next) filters[trait] = next;
+	else delete filters[trait];
+	traitFilters.value = filters;
+}
+
+function Badges({ traits = [] }) {
+	return traits.map(trait => {
+		const { label, variant, tooltip } = FunctionTraits[trait];
+		return <span class={`badge ${variant}`} title={tooltip}>{label}</span>;
+	});
+}
+
+// Renders `function ll.Name(a: T): R` with the same colours expressive-code uses for SLua, matched characters are marked
+function Signature({ namespace = 'll', name, args, returns, match }) {
+	const argMarks = argumentMarks(args, match?.indices[1]);
+	return (<>
+		<span style="--0:#F97583;--1:#BF3441">function</span><span style="--0:#E1E4E8;--1:#24292E"> </span><span style="--0:#B392F0;--1:#6F42C1">{namespace}</span><span style="--0:#E1E4E8;--1:#24292E">.</span><span class="method" style="--0:#B392F0;--1:#6F42C1" dangerouslySetInnerHTML={{ __html: markIndices(name, match?.indices[0]) }}/><span style="--0:#E1E4E8;--1:#24292E; margin-left: 0.2em">(</span>
+		{args.map(({ name, type }, index) => (
+			<><span style="--0:#E1E4E8;--1:#24292E" dangerouslySetInnerHTML={{ __html: markIndices(name, argMarks[index]) }}/><span style="--0:#E1E4E8;--1:#24292E">: </span><span style="--0:#79B8FF;--1:#005CC5">{type}</span>{index < (args.length - 1)? <span style="--0:#E1E4E8;--1:#24292E">, </span> : null}</>
+		))}
+		<span style="--0:#E1E4E8;--1:#24292E">)</span>{returns? <><span style="--0:#E1E4E8;--1:#24292E">: </span><span style="--0:#79B8FF;--1:#005CC5">{returns}</span></> : null}
+	</>);
+}
+
+// One row per function with everything needed to compare them at a glance, e.g. to scan for sleep penalties
+function Details({ items, translations }) {
+	return (
+		<div class="expressive-code">
+			<table class="details">
+				<thead>
+					<tr>
+						<th scope="col">Function</th>
+						<th scope="col">Sleep</th>
+						<th scope="col">Energy</th>
+						<th scope="col">Categories</th>
+					</tr>
+				</thead>
+				<tbody>
+					{items.map(({ name, arguments: args, return: returns, tooltip, sleep, energy, categories, traits, compat, duplicates, removed, match }) => (
+						<tr id={`ll.${name}`} class={classNames({ removed })}>
+							<td class="function">
+								<div class="signature">
+									<div class="ec-line">
+										<div class="code"><a href={`/reference/library/ll/${name.toLowerCase()}/`}><Signature namespace={removed? 'llcompat' : 'll'} name={name} args={args} returns={returns} match={match}/></a><Badges traits={traits}/></div>
+									</div>
+									{compat && !removed? (
+									<div class="ec-line compat" title="LSL compatible signature">
+										<div class="code"><Signature namespace="llcompat" name={name} args={compat.arguments} returns={compat.return}/></div>
+									</div>
+									) : null}
+								</div>
+								{markLines(tooltip, match?.indices[2]).filter(line => line.trim()).map(line => <p dangerouslySetInnerHTML={{ __html: line }}/>)}
+								{duplicates? <p class="note duplicate">Duplicates <code>{duplicates}</code></p> : null}
+								{removed? <p class="note removed">Removed from <code>ll</code> — {removed}</p> : null}
+							</td>
+							<td class={classNames('sleep', { penalty: sleep })}>{sleep? `${sleep}s` : '—'}</td>
+							<td class="energy">{energy ?? '—'}</td>
+							<td class="categories" dangerouslySetInnerHTML={{ __html: markIndices(categories.map(category => translations[category] || category).join(', '), match?.indices[3]) }}/>
+						</tr>
+					))}
+				</tbody>
+			</table>
+		</div>
+	);
+}
+
+export default function LLTable({ category = null }) {
+	// Only restore from the URL once hydrated, the server rendered the default state
+	useEffect(() => {
+		const onPopState = () => restoreState(category);
+		onPopState();
+		const dispose = effect(() => syncState(category));
+		window.addEventListener('popstate', onPopState);
+		return () => {
+			dispose();
+			window.removeEventListener('popstate', onPopState);
+		};
+	}, []);
+	
+	// Category routes render pre-filtered, both on the server and when hydrating
+	const activeCategory = selectedCategory.value === undefined? category : selectedCategory.value;
+	
 	const { fullItems, categories, translations } = useMemo(() => {
-		const fullItems = Object.entries(ll_categories)
-			.filter(([name, _]) => {
-				const definition = lsl_definitions.functions['ll' + name];
-				if(!definition) return false; // Doesn't exist in LSL?
-				if(definition.private) return false; // Do not include in documentation
-				if(definition.deprecated) return false; // Do not include deprecated functions
-				if(definition['god-mode']) return false; // Not available to residents
-				return true;
-			})
-			.map(([name, categories]) => ({ name, categories }));
+		const fullItems = ll_index; // Precomputed from slua_definitions.yaml, see src/plugins/ll-index.js
 		const categories = Array.from(new Set(fullItems.flatMap(({ categories }) => categories))).sort();
 		const translations = categories.reduce((acc, c) => ({ ...acc, [c]: Translations[c] || c }), {});
 		return { fullItems, categories, translations };
 	}, []);
 	
 	const { items, duplicateItems, removedItems } = useMemo(() => {
-		const searchTerm = search.value.toLowerCase();
-		const categoryItems = selectedCategory.value? fullItems.filter(({ categories }) => categories.includes(selectedCategory.value)) : fullItems;
-		const searchedItems = searchTerm? categoryItems.filter(({ name, categories }) => {
-			if(name.toLowerCase().includes(searchTerm)) return true;
-			for(const category of categories) {
-				if(category.toLowerCase().includes(searchTerm)) return true;
-				const translated = Translations[category];
-				if(translated && translated.toLowerCase().includes(searchTerm)) return true;
-			}
-			return false;
-		}) : categoryItems;
+		const categoryItems = (activeCategory? fullItems.filter(({ categories }) => categories.includes(activeCategory)) : fullItems).filter(passesTraitFilters);
+		const searchedItems = query.value.trim()? categoryItems
+			.map(item => ({ ...item, match: matchItem(item) }))
+			.filter(({ match }) => match) : categoryItems;
 		
 		const items = [];
 		const removedItems = [];
 		const duplicateItems = [];
-		for(const item of searchedItems) {
-			if(RemovedFunctions[item.name]) removedItems.push(item);
-			else if(DuplicateFunctions[item.name]) duplicateItems.push(item);
+		for(const item of [...searchedItems].sort(sortByRelevance)) {
+			if(item.removed) removedItems.push(item);
+			else if(item.duplicates) duplicateItems.push(item);
 			else items.push(item);
 		}
 		
 		return { items, duplicateItems, removedItems };
-	}, [fullItems, search.value, selectedCategory.value]);
+	}, [fullItems, query.value, activeCategory, traitFilters.value]);
 	
 	const onChange = useCallback((event) => {
 		selectedCategory.value = event.target.value || null;
@@ -157,10 +222,11 @@ export default function LLTable() {
 	
 	const onSearch = useCallback(debounce((event) => {
 		search.value = event.target.value;
-	}, 20), []);
+	}, 150), []); // A search over every function takes a while, so wait until typing pauses
 	
-	const hasDuplicateItems = !!duplicateItems?.length;
-	const hasRemovedItems = !!removedItems?.length;
+	// The details view notes duplicates and removals on each row instead
+	const hasDuplicateItems = view.value === 'list' && !!duplicateItems?.length;
+	const hasRemovedItems = view.value === 'list' && !!removedItems?.length;
 	
 	
 	
@@ -168,99 +234,61 @@ export default function LLTable() {
 		<div class="library-view not-content">
 			<div class="options">
 				<input class="search" type="search" placeholder="Fuzzy Search" value={search.value} onInput={onSearch} />
-				{/* <div class="view" role="group" aria-label="View Mode">
+				<div class="view" role="group" aria-label="View Mode">
 					<button type="button" class={classNames({ selected: view.value === 'list' })} aria-label="List View" title="List View" onClick={() => view.value = 'list'}>
 						<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M4 6H20V4H4V6ZM4 13H20V11H4V13ZM4 20H20V18H4V20Z"></path></svg>
 					</button>
 					<button type="button" class={classNames({ selected: view.value === 'details' })} aria-label="Detailed View" title="Detailed View" onClick={() => view.value = 'details'}>
 						<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M4 6H14V4H4V6ZM16 6H20V4H16V6ZM4 13H14V11H4V13ZM16 13H20V11H16V13ZM4 20H14V18H4V20ZM16 20H20V18H16V20Z"></path></svg>
 					</button>
-				</div> */}
+				</div>
 				<label class="categories dropdown">
 					<span class="sr-only">Select category</span>
-					<select onChange={onChange} ref={element => element && (selectedCategory.value = element.value)}>
+					<select onChange={onChange} value={activeCategory || ''}>
 						<option value="">All Categories</option>
 						{categories.map(tag => <option value={tag}>{translations[tag]}</option>)}
 					</select>
 					<svg aria-hidden="true" class="icon caret" width="16" height="16" viewBox="0 0 24 24" fill="currentColor" style="--sl-icon-size: 1em;"><path d="M17 9.17a1 1 0 0 0-1.41 0L12 12.71 8.46 9.17a1 1 0 1 0-1.41 1.42l4.24 4.24a1.002 1.002 0 0 0 1.42 0L17 10.59a1.002 1.002 0 0 0 0-1.42Z"></path></svg>
 				</label>
+				<div class="traits" role="group" aria-label="Filter by traits">
+					{Object.entries(FunctionTraits).map(([trait, { label, tooltip }]) => {
+						const filter = traitFilters.value[trait];
+						return (
+							<button type="button" class={classNames(filter)} aria-pressed={!!filter} title={`${tooltip}\nClick to cycle between all, only and hiding ${label.toLowerCase()} functions.`} onClick={() => toggleTraitFilter(trait)}>
+								{filter === 'only'? 'Only ' : filter === 'hide'? 'Hide ' : ''}{label}
+							</button>
+						);
+					})}
+				</div>
 			</div>
+			{view.value === 'details'? (
+				<Details items={[...items, ...duplicateItems, ...removedItems].sort(sortByRelevance)} translations={translations}/>
+			):(
 			<div class="expressive-code">
 				<figure class="frame not-content">
 					<figcaption class="header"></figcaption>
 					<pre data-language="slua">
-						{selectedCategory?.value? (
+						{activeCategory? (
 						<code class="raw-list">
-							{items
-							?.sort(sortByRelevance)
-							.map(({ name }) => {
-								let functionName = name.replace('ll.', '');
-								let slug = functionName.toLowerCase();
-								
-								// If search then use <mark> tags around matched text
-								if(search.value) {
-									const regex = new RegExp(`(${search.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-									functionName = functionName.replace(regex, '<mark>$1</mark>');
-								}
-								
-								let definition = lsl_definitions.functions[`ll${name}`];
-								
-								return (
-									<div class="ec-line">
-										<div class="code"><a href={`./${slug}`}><span style="--0:#F97583;--1:#BF3441">function</span><span style="--0:#E1E4E8;--1:#24292E"> </span><span style="--0:#B392F0;--1:#6F42C1">ll</span><span style="--0:#E1E4E8;--1:#24292E">.</span><span class="method" style="--0:#B392F0;--1:#6F42C1" dangerouslySetInnerHTML={{ __html: functionName }}/><span style="--0:#E1E4E8;--1:#24292E; margin-left: 0.2em">(</span>{
-										(() => {
-											let parameters = [];
-											for (const [index, arg] of (definition.arguments || []).entries())
-											{
-												const [name, argumentDefinition] = Object.entries(arg).pop();
-												const type = convertType(argumentDefinition.type);
-												
-												parameters.push(
-													<><span style="--0:#E1E4E8;--1:#24292E">{name}</span><span style="--0:#E1E4E8;--1:#24292E">: </span><span style="--0:#79B8FF;--1:#005CC5">{type}</span>{index < (definition.arguments.length - 1)? <span style="--0:#E1E4E8;--1:#24292E">, </span> : null}</>
-												);
-											}
-											
-											return parameters;
-										})()
-										}<span style="--0:#E1E4E8;--1:#24292E">): </span><span style="--0:#79B8FF;--1:#005CC5">{convertType(definition.return)}</span></a></div>
-									</div>
-								)
-							})}
+							{items.map(({ name, arguments: args, return: returns, traits, match }) => (
+								<div id={`ll.${name}`} class="ec-line">
+									<div class="code"><a href={`/reference/library/ll/${name.toLowerCase()}/`}><Signature name={name} args={args} returns={returns} match={match}/></a><Badges traits={traits}/></div>
+								</div>
+							))}
 						</code>
 						):(
 						<code class="categorised-list">
 							{categories
 							.filter(category => items?.some(({ categories }) => categories.includes(category)))
-							// If search then sort by categories that have direct match or match in their items
-							.sort((a, b) => {
-								const searchTerm = search.value.toLowerCase();
-								
-								const aCategoryIndex = a.replace(/_/g, ' ').toLowerCase().indexOf(searchTerm);
-								const bCategoryIndex = b.replace(/_/g, ' ').toLowerCase().indexOf(searchTerm);
-								if(aCategoryIndex !== -1 && bCategoryIndex === -1) return -1;
-								if(aCategoryIndex === -1 && bCategoryIndex !== -1) return 1;
-								if(aCategoryIndex !== bCategoryIndex) return aCategoryIndex - bCategoryIndex;
-								
-								const aItemIndex = items
-									.map(({ name }) => name.toLowerCase().indexOf(searchTerm))
-									.filter(index => index !== -1)
-									.sort((x, y) => x - y)[0] || Infinity;
-								const bItemIndex = items
-									.map(({ name }) => name.toLowerCase().indexOf(searchTerm))
-									.filter(index => index !== -1)
-									.sort((x, y) => x - y)[0] || Infinity;
-								if(aItemIndex !== bItemIndex) return aItemIndex - bItemIndex;
-								
-								// Finally alphabetical
-								return a.localeCompare(b);
+							// If search then sort by categories that match directly or through their best matching item
+							.map(category => {
+								const match = query.value.trim()? fuzzyScore(query.value, [{ text: translations[category] || category }]) : null;
+								const itemScore = Math.max(0, ...items.filter(({ categories }) => categories.includes(category)).map(({ match }) => match?.score || 0));
+								return { category, match, score: Math.max(match?.score || 0, itemScore) };
 							})
-							.map((category, index) => {
-								let categoryName = translations[category] || category;
-								
-								if(search.value) {
-									const regex = new RegExp(`(${search.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-									categoryName = categoryName.replace(regex, '<mark>$1</mark>');
-								}
+							.sort((a, b) => (b.score - a.score) || a.category.localeCompare(b.category))
+							.map(({ category, match }, index) => {
+								const categoryName = markIndices(translations[category] || category, match?.indices[0]);
 								
 								return (
 									<>
@@ -269,22 +297,11 @@ export default function LLTable() {
 									{items
 									?.filter(({ categories }) => categories.includes(category))
 									.sort(sortByRelevance)
-									.map(({ name }) => {
-										let functionName = name.replace('ll.', '');
-										let slug = functionName.toLowerCase();
-										
-										// If search then use <mark> tags around matched text
-										if(search.value) {
-											const regex = new RegExp(`(${search.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-											functionName = functionName.replace(regex, '<mark>$1</mark>');
-										}
-										
-										return (
-											<div class="ec-line">
-												<div class="code"><a href={`./${slug}`}><span style="--0:#F97583;--1:#BF3441">function</span><span style="--0:#E1E4E8;--1:#24292E"> </span><span style="--0:#B392F0;--1:#6F42C1">ll</span><span style="--0:#E1E4E8;--1:#24292E">.</span><span class="method" style="--0:#B392F0;--1:#6F42C1" dangerouslySetInnerHTML={{ __html: functionName }}/>{/*<span style="--0:#E1E4E8;--1:#24292E">(</span><span style="--0:#E1E4E8;--1:#24292E">)</span>*/}</a></div>
-											</div>
-										)
-									})}
+									.map(({ name, match }) => (
+										<div class="ec-line">
+											<div class="code"><a href={`/reference/library/ll/${name.toLowerCase()}/`}><span style="--0:#F97583;--1:#BF3441">function</span><span style="--0:#E1E4E8;--1:#24292E"> </span><span style="--0:#B392F0;--1:#6F42C1">ll</span><span style="--0:#E1E4E8;--1:#24292E">.</span><span class="method" style="--0:#B392F0;--1:#6F42C1" dangerouslySetInnerHTML={{ __html: markIndices(name, match?.indices[0]) }}/></a></div>
+										</div>
+									))}
 								</>)
 							})}
 						</code>
@@ -292,13 +309,14 @@ export default function LLTable() {
 					</pre>
 				</figure>
 			</div>
+			)}
 		</div>
 		
 		{((category) => {
 			if(!category) return null;
-			const duplicate = Object.entries(DuplicateLibraries).find(([key]) => category === key || category.startsWith(key));
+			const duplicate = duplicateLibrary(category);
 			if(!duplicate) return null;
-			const { title, description } = duplicate[1];
+			const { title, description } = duplicate;
 			return (
 				<aside aria-label={title} class="starlight-aside starlight-aside--tip">
 					<p class="starlight-aside__title" aria-hidden="true">
@@ -310,7 +328,7 @@ export default function LLTable() {
 					</div>
 				</aside>
 			);
-		})(selectedCategory.value)}
+		})(activeCategory)}
 		{hasDuplicateItems && (<aside aria-label="Duplicate Functionality" class="duplicated-functionality starlight-aside starlight-aside--tip">
 			<p class="starlight-aside__title" aria-hidden="true">
 				<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor" class="starlight-aside__icon"><path fill-rule="evenodd" clip-rule="evenodd" d="M1.43909 8.85483L1.44039 8.85354L4.96668 5.33815C5.30653 4.99386 5.7685 4.79662 6.2524 4.78972L6.26553 4.78963L12.9014 4.78962L13.8479 3.84308C16.9187 0.772319 20.0546 0.770617 21.4678 0.975145C21.8617 1.02914 22.2271 1.21053 22.5083 1.4917C22.7894 1.77284 22.9708 2.13821 23.0248 2.53199C23.2294 3.94517 23.2278 7.08119 20.1569 10.1521L19.2107 11.0983V17.7338L19.2106 17.7469C19.2037 18.2308 19.0067 18.6933 18.6624 19.0331L15.1456 22.5608C14.9095 22.7966 14.6137 22.964 14.29 23.0449C13.9663 23.1259 13.6267 23.1174 13.3074 23.0204C12.9881 22.9235 12.7011 22.7417 12.4771 22.4944C12.2533 22.2473 12.1006 21.9441 12.0355 21.6171L11.1783 17.3417L6.65869 12.822L4.34847 12.3589L2.38351 11.965C2.05664 11.8998 1.75272 11.747 1.50564 11.5232C1.25835 11.2992 1.07653 11.0122 0.979561 10.6929C0.882595 10.3736 0.874125 10.034 0.955057 9.7103C1.03599 9.38659 1.20328 9.09092 1.43909 8.85483ZM6.8186 10.8724L2.94619 10.096L6.32006 6.73268H10.9583L6.8186 10.8724ZM15.2219 5.21703C17.681 2.75787 20.0783 2.75376 21.1124 2.8876C21.2462 3.92172 21.2421 6.31895 18.783 8.77812L12.0728 15.4883L8.51172 11.9272L15.2219 5.21703ZM13.9042 21.0538L13.1279 17.1811L17.2676 13.0414V17.68L13.9042 21.0538Z"></path><path d="M9.31827 18.3446C9.45046 17.8529 9.17864 17.3369 8.68945 17.1724C8.56178 17.1294 8.43145 17.1145 8.30512 17.1243C8.10513 17.1398 7.91519 17.2172 7.76181 17.3434C7.62613 17.455 7.51905 17.6048 7.45893 17.7835C6.97634 19.2186 5.77062 19.9878 4.52406 20.4029C4.08525 20.549 3.6605 20.644 3.29471 20.7053C3.35607 20.3395 3.45098 19.9148 3.59711 19.476C4.01221 18.2294 4.78141 17.0237 6.21648 16.5411C6.39528 16.481 6.54504 16.3739 6.65665 16.2382C6.85126 16.0016 6.92988 15.678 6.84417 15.3647C6.83922 15.3466 6.83373 15.3286 6.82767 15.3106C6.74106 15.053 6.55701 14.8557 6.33037 14.7459C6.10949 14.6389 5.84816 14.615 5.59715 14.6994C5.47743 14.7397 5.36103 14.7831 5.24786 14.8294C3.22626 15.6569 2.2347 17.4173 1.75357 18.8621C1.49662 19.6337 1.36993 20.3554 1.30679 20.8818C1.27505 21.1464 1.25893 21.3654 1.25072 21.5213C1.24662 21.5993 1.24448 21.6618 1.24337 21.7066L1.243 21.7226L1.24235 21.7605L1.2422 21.7771L1.24217 21.7827L1.24217 21.7856C1.24217 22.3221 1.67703 22.7579 2.2137 22.7579L2.2155 22.7579L2.22337 22.7578L2.23956 22.7577C2.25293 22.7575 2.27096 22.7572 2.29338 22.7567C2.33821 22.7555 2.40073 22.7534 2.47876 22.7493C2.63466 22.7411 2.85361 22.725 3.11822 22.6932C3.64462 22.6301 4.36636 22.5034 5.13797 22.2464C6.58274 21.7653 8.3431 20.7738 9.17063 18.7522C9.21696 18.639 9.26037 18.5226 9.30064 18.4029C9.30716 18.3835 9.31304 18.364 9.31827 18.3446Z"></path></svg>
@@ -319,9 +337,9 @@ export default function LLTable() {
 			<div class="starlight-aside__content">
 				<p>The following functions provide duplicate functionality that is available through the namespaced libraries or operators which may also offer better performance:</p>
 				<ul>
-					{duplicateItems?.map(({ name, categories }) => (
+					{duplicateItems?.map(({ name, duplicates }) => (
 						<li>
-							<code>{name}</code> by <code>{DuplicateFunctions[name.replace('ll.', '')]}</code>
+							<code>{name}</code> by <code>{duplicates}</code>
 						</li>
 					))}
 				</ul>
@@ -335,9 +353,9 @@ export default function LLTable() {
 			<div class="starlight-aside__content">
 				<p>The following functions are not available in <code dir="auto">ll</code> and may be available in <code dir="auto">llcompat</code> instead:</p>
 				<ul>
-					{removedItems?.map(({ name, categories }) => (
+					{removedItems?.map(({ name, removed }) => (
 						<li>
-							<code>{name}</code> - {RemovedFunctions[name.replace('ll.', '')]}
+							<code>{name}</code> - {removed}
 						</li>
 					))}
 				</ul>
@@ -363,6 +381,72 @@ export default function LLTable() {
 					}
 				}
 				
+				.badge {
+					display: inline-block;
+					margin-inline-start: 0.5em;
+					padding: 0 0.35em;
+					border: 1px solid var(--badge-border);
+					border-radius: 0.25rem;
+					background-color: var(--badge-background);
+					color: var(--sl-color-white);
+					font-family: var(--__sl-font);
+					font-size: var(--sl-text-xs);
+					line-height: 1.5;
+					vertical-align: 0.1em;
+					cursor: help;
+					
+					&.success { --badge-border: var(--sl-color-green); --badge-background: var(--sl-color-green-low) }
+					&.caution { --badge-border: var(--sl-color-orange); --badge-background: var(--sl-color-orange-low) }
+					&.note { --badge-border: var(--sl-color-blue); --badge-background: var(--sl-color-blue-low) }
+					&.tip { --badge-border: var(--sl-color-purple); --badge-background: var(--sl-color-purple-low) }
+				}
+				
+				.details {
+					width: 100%;
+					border-collapse: collapse;
+					font-size: var(--sl-text-sm);
+					
+					th {
+						text-align: start;
+						border-bottom: 1px solid var(--sl-color-gray-5);
+					}
+					td, th {
+						padding: 0.5rem;
+						vertical-align: top;
+					}
+					tr + tr td {
+						border-top: 1px solid var(--sl-color-gray-6);
+					}
+					tr.removed .function {
+						opacity: 0.6;
+					}
+					
+					.signature {
+						margin-bottom: 0.5rem;
+						padding: 0.25rem 0;
+						background: var(--ec-frm-edBg);
+						color: var(--ec-codeFg);
+						font-family: var(--ec-codeFontFml);
+						
+						.code { padding-inline: 0.5rem }
+						.compat { opacity: 0.7 }
+					}
+					p { margin: 0.25rem 0 }
+					.note {
+						font-weight: 600;
+						&.duplicate { color: var(--sl-color-green-high) }
+						&.removed { color: var(--sl-color-red-high) }
+					}
+					.sleep, .energy {
+						white-space: nowrap;
+						font-variant-numeric: tabular-nums;
+					}
+					.sleep.penalty {
+						color: var(--sl-color-orange-high);
+						font-weight: 600;
+					}
+				}
+				
 				.duplicated-functionality,
 				.removed-functions {
 					&:has(ul:empty) { display: none }
@@ -681,6 +765,36 @@ export default function LLTable() {
 						}
 					}
 					
+					.traits {
+						display: inline-flex;
+						flex-wrap: wrap;
+						gap: 0.4rem;
+						
+						button {
+							height: 2rem;
+							padding: 0 0.6rem;
+							border: 1px dashed var(--sl-color-gray-5);
+							border-radius: 0.25rem;
+							background-color: transparent;
+							color: var(--sl-color-gray-2);
+							font-size: var(--sl-text-sm);
+							cursor: pointer;
+							
+							&:hover {
+								border-color: var(--sl-color-gray-2);
+							}
+							&.only {
+								border-style: solid;
+								background-color: var(--sl-color-text-accent);
+								color: var(--sl-color-text-invert);
+							}
+							&.hide {
+								border-style: solid;
+								text-decoration: line-through;
+							}
+						}
+					}
+					
 					.categories {
 						position: relative;
 						height: 2rem;
@@ -718,7 +832,5 @@ export default function LLTable() {
 	</>);
 }
 
-// Function, Description, Parameters, Returns, Permissions, Experience
-
 
 
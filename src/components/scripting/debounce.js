@@ -0,0 +1,14 @@
+// Delays calling `func` until `wait` milliseconds have passed without another call, e.g. while typing a search
+export function debounce(func, wait) {
+	let timeout;
+	return function() {
+		const context = this;
+		const args = arguments;
+		const later = function() {
+			timeout = null;
+			func.apply(context, args);
+		};
+		clearTimeout(timeout);
+		timeout = setTimeout(later, wait);
+	};
+}
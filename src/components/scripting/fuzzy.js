@@ -0,0 +1,216 @@
+/*
+	Fuzzy matching for the interactive references
+	- Subsequence matching, e.g. `gtlistlen` finds `GetListLength`
+	- Matches at word starts and CamelCase humps score higher, so initials like `gop` rank `GetObjectPermMask` first
+	- Typo tolerance through the edit distance against word starts, e.g. `Lenght` still finds `GetListLength`
+	- Matched character indices are returned, so they can be highlighted with <mark> tags
+	- Fields can bring their text lowercased already (`lower`), as the same texts are searched on every keystroke
+*/
+
+const StartBonus = 10;
+const BoundaryBonus = 8;
+const ConsecutiveBonus = 6;
+const GapPenalty = 0.5;
+const LateStartPenalty = 0.05;
+const MinimumScore = 0; // Subsequences spread this thinly are noise, e.g. `sayto` in `ReplaceEnvironment`
+
+// Whether a character starts a word, e.g. after a separator, on a camelCase hump or at the start of an acronym
+function isBoundary(text, index) {
+	if(index === 0) return true;
+	const previous = text[index - 1];
+	const char = text[index];
+	if(/[\s_.:,()\-]/.test(previous)) return true;
+	if(/[a-z]/.test(previous) && /[A-Z]/.test(char)) return true;
+	if(/[A-Z]/.test(previous) && /[A-Z]/.test(char) && /[a-z]/.test(text[index + 1] || '')) return true;
+	if(/[0-9]/.test(previous) !== /[0-9]/.test(char)) return true;
+	return false;
+}
+
+// Finds the best scoring way to match the query as a subsequence of the text
+// score[i][j] is the best score with query[i] matched at text[j], the parents are kept to recover the matched indices
+function subsequenceMatch(query, text, t) {
+	const q = query.toLowerCase();
+	if(q.length > t.length) return null;
+
+	const parents = [];
+	let previous = null;
+	for(let i = 0; i < q.length; i++)
+	{
+		const current = new Array(t.length).fill(-Infinity);
+		const parent = new Array(t.length).fill(-1);
+		let bestBefore = -Infinity;
+		let bestBeforeIndex = -1;
+
+		for(let j = 0; j < t.length; j++)
+		{
+			// Best score of the previous query character anywhere before, but not directly before, this position
+			// Offset by its position so that the gap penalty below grows with the distance to it
+			if(i && j >= 2 && previous[j - 2] + (j - 2) * GapPenalty > bestBefore) {
+				bestBefore = previous[j - 2] + (j - 2) * GapPenalty;
+				bestBeforeIndex = j - 2;
+			}
+			if(t[j] !== q[i]) continue;
+
+			const charScore = 1 + (j === 0? StartBonus : isBoundary(text, j)? BoundaryBonus : 0);
+			if(!i) {
+				current[j] = charScore - j * LateStartPenalty;
+				continue;
+			}
+
+			const consecutive = j? previous[j - 1] + ConsecutiveBonus : -Infinity;
+			const gapped = bestBefore - (j - 1) * GapPenalty;
+			if(consecutive === -Infinity && gapped === -Infinity) continue;
+			if(consecutive >= gapped) {
+				current[j] = charScore + consecutive;
+				parent[j] = j - 1;
+			}
+			else {
+				current[j] = charScore + gapped;
+				parent[j] = bestBeforeIndex;
+			}
+		}
+
+		parents.push(parent);
+		previous = current;
+	}
+
+	let score = -Infinity;
+	let index = -1;
+	for(let j = 0; j < t.length; j++) {
+		if(previous[j] > score) {
+			score = previous[j];
+			index = j;
+		}
+	}
+	if(index === -1 || score <= MinimumScore) return null;
+
+	const indices = [];
+	for(let i = q.length - 1; i >= 0; i--) {
+		indices.unshift(index);
+		index = parents[i][index];
+	}
+	return { score, indices };
+}
+
+// Contiguous matches only, used for long texts such as tooltips where nearly any query would be a subsequence
+function substringMatch(query, text, t) {
+	const q = query.toLowerCase();
+
+	let start = -1;
+	for(let index = t.indexOf(q); index !== -1; index = t.indexOf(q, index + 1)) {
+		if(start === -1) start = index;
+		if(isBoundary(text, index)) {
+			start = index;
+			break;
+		}
+	}
+	if(start === -1) return null;
+
+	const score = q.length * 2 + (isBoundary(text, start)? BoundaryBonus : 0);
+	return { score, indices: Array.from(q, (_, offset) => start + offset) };
+}
+
+// Optimal string alignment distance, i.e. Levenshtein distance that also counts swapped neighbours as a single edit
+function editDistance(a, b) {
+	const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+	for(let j = 1; j <= b.length; j++) rows[0][j] = j;
+	for(let i = 1; i <= a.length; i++)
+	{
+		for(let j = 1; j <= b.length; j++)
+		{
+			const cost = a[i - 1] === b[j - 1]? 0 : 1;
+			rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+			if(i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+		}
+	}
+	return rows[a.length][b.length];
+}
+
+// Compares the query against the text at every word start, allowing one typo (two for longer queries)
+function typoMatch(query, text, t) {
+	if(query.length < 3) return null;
+	const q = query.toLowerCase();
+	const allowed = q.length >= 8? 2 : 1;
+
+	let best = null;
+	for(let start = 0; start < t.length; start++)
+	{
+		if(!isBoundary(text, start)) continue;
+		for(const length of [q.length, q.length - 1, q.length + 1])
+		{
+			if(start + length > t.length) continue;
+			const distance = editDistance(q, t.substring(start, start + length));
+			if(distance > allowed || (best && distance >= best.distance)) continue;
+			best = { distance, start, length };
+		}
+	}
+	if(!best) return null;
+
+	// Scored like a word start substring match, minus the edits it needed
+	return {
+		score: Math.max(1, q.length * 2 + BoundaryBonus - best.distance * 4),
+		indices: Array.from({ length: best.length }, (_, offset) => best.start + offset),
+	};
+}
+
+// Matches a single term against a text, returns null or `{ score, indices }`
+// `subsequence: false` restricts the match to contiguous characters before falling back to typo tolerance
+export function fuzzyMatch(query, text, { subsequence = true, lower } = {}) {
+	if(!query) return { score: 0, indices: [] };
+	if(!text) return null;
+	lower ??= text.toLowerCase();
+	return (subsequence? subsequenceMatch(query, text, lower) : substringMatch(query, text, lower)) || typoMatch(query, text, lower);
+}
+
+// Scores something across several fields (`{ text, lower, weight, subsequence }`), every term of the query has to match one of them
+// Returns null if it doesn't match, otherwise the total score and the matched character indices per field
+export function fuzzyScore(query, fields) {
+	const terms = query.trim().split(/\s+/).filter(Boolean);
+	const indices = fields.map(() => new Set());
+
+	let total = 0;
+	for(const term of terms)
+	{
+		let best = null;
+		for(const [index, field] of fields.entries())
+		{
+			const match = fuzzyMatch(term, field.text, field);
+			if(!match) continue;
+			const score = match.score * (field.weight ?? 1);
+			if(best === null || score > best) best = score;
+			for(const matched of match.indices) indices[index].add(matched);
+		}
+		if(best === null) return null;
+		total += best;
+	}
+
+	return { score: total, indices: indices.map(set => [...set].sort((a, b) => a - b)) };
+}
+
+// Escapes the text as HTML, wrapping runs of the given character indices in <mark> tags
+export function markIndices(text, indices = []) {
+	const escape = char => char === '&'? '&amp;' : char === '<'? '&lt;' : char === '>'? '&gt;' : char;
+	const marked = new Set(indices);
+	let html = '';
+	for(let index = 0; index < text.length; index++)
+	{
+		const isMarked = marked.has(index);
+		if(isMarked && !marked.has(index - 1)) html += '<mark>';
+		html += escape(text[index]);
+		if(isMarked && !marked.has(index + 1)) html += '</mark>';
+	}
+	return html;
+}
+
+// Like markIndices, but split into lines first, so that a match across a line break leaves each line's <mark> tags balanced
+export function markLines(text, indices = []) {
+	const lines = [];
+	let offset = 0;
+	for(const line of text.split('\n'))
+	{
+		const end = offset + line.length;
+		lines.push(markIndices(line, indices.filter(index => index >= offset && index < end).map(index => index - offset)));
+		offset = end + 1;
+	}
+	return lines;
+}
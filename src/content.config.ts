@@ -11,6 +11,8 @@ export const collections = {
 					caption: z.string().optional().describe('The caption HTML for the image.'),
 				}).optional(),
 			}).optional(),
+			// ll function categories (see src/data/ll_categories.json) that a page covers, listed on the categories reference
+			categories: z.array(z.string()).optional(),
 		})
 	}) }),
 	i18n: defineCollection({ loader: i18nLoader(), schema: i18nSchema() }),
@@ -0,0 +1,136 @@
+/*
+	Shared knowledge about how LSL maps onto SLua, used by the build scripts and the components alike
+	- Keeping it in one place means the synthesized definitions and the interactive reference can't disagree
+*/
+
+// These functions were removed from SLua's ll.* for these reasons
+export const RemovedFunctions = {
+	'SetTimerEvent': 'Conflicts with LLTimers',
+	'ResetTime': 'Conflicts with LLTimers',
+	'GetAndResetTime': 'Conflicts with LLTimers',
+	'SetMemoryLimit': 'Not applicable to SLua',
+};
+
+// These LSL events don't exist in SLua as they are handled natively, deprecated events are left out as well
+export const RemovedEvents = {
+	'state_entry': 'SLua has no states, code at the top level of the script runs when it starts',
+	'state_exit': 'SLua has no states',
+	'timer': 'Replaced by LLTimers',
+};
+
+// These functions exist through SLua's ll.* but really duplicate the functionality of some of the native libraries available from Luau
+// Native functionality may likely perform better (particularly those marked as 'fastcall functions', such as in math) or be more idiomatic to use
+// This list is used to mark such functions in the documentation as duplicates, suggesting to use native instead (`.duplicates = DuplicateFunctions[name]`)
+export const DuplicateFunctions = {
+	'OwnerSay': 'print',
+	'Base642String': 'llbase64.decode',
+	'String2Base64': 'llbase64.encode',
+	'Json2List': 'lljson.decode',
+	'List2Json': 'lljson.encode',
+	'Abs': 'math.abs',
+	'Fabs': 'math.abs',
+	'Ceil': 'math.ceil',
+	'Round': 'math.round',
+	'Floor': 'math.floor',
+	'ModPow': '(a^b)%c',
+	'Sqrt': 'math.sqrt',
+	'Sin': 'math.sin',
+	'Cos': 'math.cos',
+	'Tan': 'math.tan',
+	'Asin': 'math.asin',
+	'Acos': 'math.acos',
+	'Atan2': 'math.atan2',
+	'Pow': 'math.pow',
+	'Log': 'math.log',
+	'Log10': 'math.log10',
+	'Frand': 'math.random',
+	'Char': 'string.char, utf8.char',
+	'Ord': 'string.byte, utf8.codepoint',
+	// 'SubStringIndex': 'string.find', // nope; UTF-8 differences
+	'ReplaceSubString': 'string.gsub',
+	'ParseStringKeepNulls': 'string.split',
+	'CSV2List': 'string.split',
+	// 'GetSubString': 'string.sub', // nope; UTF-8 differences
+	'GetTime': 'os.clock',
+	'GetUnixTime': 'os.time',
+	'GetTimestamp': 'os.date',
+	'GetDate': 'os.date',
+	'Rot2Fwd': 'quaternion.tofwd',
+	'Rot2Left': 'quaternion.toleft',
+	'Rot2Up': 'quaternion.toup',
+	'StringLength': '#string, string.len, utf8.len',
+	'GetListLength': '#table',
+	'ListSort': 'table.sort',
+	'DumpList2String': 'table.concat',
+	'List2CSV': 'table.concat(", ")',
+	'ListFindList': 'table.find',
+	'ListFindListNext': 'table.find',
+	'ListInsertList': 'table.move',
+	'ListReplaceList': 'table.move',
+	'ToUpper': 'string.upper',
+	'ToLower': 'string.lower',
+	'VecMag': 'vector.magnitude',
+	'VecNorm': 'vector.normalize',
+	'VecDist': 'vector.magnitude(v1 - v2)',
+};
+
+// When converting definitions translate keys to uuids, rotations to quaternions, integers to numbers, bool-semantics to boolean, etc.
+export function convertType(type, value) {
+	// If a string but is actually UUID format, convert to uuid
+	if(type == 'string' && typeof value === 'string' && /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(value)) return 'uuid';
+	
+	// Map types from LSL to SLua
+	if(type === 'key') return 'uuid';
+	if(type === 'rotation') return 'quaternion';
+	if(type === 'integer') return 'number';
+	if(type === 'float') return 'number';
+	if(type === 'string') return 'string';
+	if(type === 'vector') return 'vector';
+	if(type === 'list') return 'table';
+	if(type === 'boolean') return 'boolean';
+	return type; // leave as-is
+}
+
+// Categories of ll functions that are covered by a native library as a whole, keyed by category (or the prefix of categories, e.g. math_3d)
+export const DuplicateLibraries = {
+	'json': {
+		title: 'lljson Library',
+		href: '/reference/library/lljson/',
+		description: 'The lljson library in SLua provides enhanced functionality compared to the original LSL JSON functions. It is recommended to use the SLua lljson functions for improved performance and features.',
+	},
+	'math': {
+		title: 'math Library',
+		href: '/reference/library/math/',
+		description: 'The math library in SLua is based on the standard Luau math library, which offers a comprehensive set of mathematical functions and constants. It is recommended to use the SLua math library for better performance and additional features compared to the original LSL math functions.',
+	},
+	'string': {
+		title: 'string Library',
+		href: 'https://luau.org/library#string-library',
+		description: 'The string library in SLua is based on the standard Luau string library, which provides a wide range of functions for string manipulation and processing. However the original LSL functions are UTF8 friendly, so may be preferred in a lot of cases.',
+	}
+};
+
+// Finds the native library covering a category, if any
+export function duplicateLibrary(category) {
+	const key = Object.keys(DuplicateLibraries).find(key => category === key || category.startsWith(key));
+	return key? DuplicateLibraries[key] : null;
+}
+
+// Traits of functions, normalized from the flags of the LSL definitions into `traits` (see functionTraits)
+// Shown as badges, `variant` is that of Starlight's <Badge> component
+export const FunctionTraits = {
+	'pure': { label: 'Pure', variant: 'success', tooltip: 'Has no side effects, it only computes its return value from the arguments.' },
+	'must-use': { label: 'Must Use', variant: 'caution', tooltip: 'The return value should not be discarded, as calling the function serves no other purpose.' },
+	'native': { label: 'Native', variant: 'note', tooltip: 'Implemented natively within the script VM instead of calling into the simulator.' },
+	'experience': { label: 'Experience', variant: 'tip', tooltip: 'Requires the script to be compiled with an experience.' },
+};
+
+// `pure` implies `must-use` and a linden-owned experience is still an experience
+export function functionTraits(lslFunc) {
+	const traits = [];
+	if(lslFunc.pure) traits.push('pure');
+	if(lslFunc.pure || lslFunc['must-use']) traits.push('must-use');
+	if(lslFunc.native) traits.push('native');
+	if(lslFunc.experience || lslFunc['linden-experience']) traits.push('experience');
+	return traits;
+}
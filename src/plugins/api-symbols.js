@@ -0,0 +1,305 @@
+/*
+	Expressive-code plugins for the SLua API symbols in code blocks, from slua_definitions.yaml
+	- `pluginApiTooltips`: hovering or focusing e.g. `ll.RegionSayTo`, `lljson.encode`, `vector.zero` or `ACTIVE` shows its signature, tooltip and a link to its reference page
+	- `pluginApiLinks`: links the same symbols to their reference pages, opt out per fence with `autolink=false`, e.g. ```slua autolink=false
+		- Symbols already linked by hand with expressive-code-links, e.g. `ll.\[Rot2Axis](/reference/library/ll/rot2axis)`, are left alone
+	- Only in slua/luau code blocks, and not within strings or comments, except for event names passed to `LLEvents`, e.g. `LLEvents:on("touch_start", ...)`
+	- Symbols are recognised by name only: fields of other values, e.g. `foo.ll.Say`, are skipped, but a local shadowing e.g. `print` isn't told apart from the API
+*/
+
+import { readFile, access } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { load } from 'js-yaml';
+import { definePlugin, ExpressiveCodeAnnotation } from '@astrojs/starlight/expressive-code';
+import { h } from '@astrojs/starlight/expressive-code/hast';
+
+const sluaDefinitionsPath = fileURLToPath(new URL('../data/slua_definitions.yaml', import.meta.url));
+const typesPagesPath = fileURLToPath(new URL('../content/docs/reference/types/', import.meta.url));
+
+const Languages = ['slua', 'luau', 'lua'];
+
+// Definitions group related items into lists, e.g. overloads
+function flattenList(list = []) {
+	return list.flatMap(item => Array.isArray(item)? item : ('list' in item? item.list : item));
+}
+
+// Tooltips use literal \n for line breaks
+function tooltipText(tooltip) {
+	return tooltip?.replace(/\\n/g, '\n').trim() || '';
+}
+
+async function fileExists(filePath) {
+	try {
+		await access(filePath);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+// Event arguments are either a map of names or, for the LSL fallbacks, a list of single-key objects
+function eventSignature(name, event) {
+	const args = Array.isArray(event.arguments)
+		? event.arguments.map(argument => Object.entries(argument)[0])
+		: Object.entries(event.arguments || {});
+	return `${name}(${args.map(([argument, { type }]) => `${argument}: ${type}`).join(', ')})`;
+}
+
+function addSymbol(symbols, name, signature, tooltip, href) {
+	const symbol = symbols.get(name);
+	if(symbol) symbol.signatures.push(signature); // Overloads, e.g. `select`
+	else symbols.set(name, { name, signatures: [signature], tooltip: tooltipText(tooltip), href });
+}
+
+// Every documented symbol by the name it is called with, e.g. `ll.Say`, `LLEvents:on`, `math.pi` or `vector`, and the events by name
+export async function buildSymbols() {
+	const slua = load(await readFile(sluaDefinitionsPath, 'utf8'));
+	const symbols = new Map();
+	const events = new Map();
+
+	for(const [namespace, library] of Object.entries(slua.libraries)) {
+		const libraryHref = namespace === 'll' || namespace === 'llcompat'
+			? name => `/reference/library/ll/${name.toLowerCase()}/`
+			: () => `/reference/library/${namespace.toLowerCase()}/`;
+		for(const func of flattenList(library.functions)) {
+			const name = func.type?.match(/^function ([\w.:]+)\(/)?.[1];
+			if(!name) continue;
+			addSymbol(symbols, name, func.type, func.tooltip, libraryHref(func.name));
+			if(name.includes(':')) addSymbol(symbols, name.replace(':', '.'), func.type, func.tooltip, libraryHref(func.name)); // e.g. `LLEvents.on(LLEvents, ...)`
+		}
+		for(const constant of flattenList(library.constants)) {
+			const name = namespace === 'global'? constant.name : `${namespace}.${constant.name}`;
+			addSymbol(symbols, name, `${name}: ${constant.type}`, constant.tooltip, libraryHref(constant.name));
+		}
+	}
+
+	for(const [typeName, type] of Object.entries(slua.types)) {
+		if(type.private) continue;
+		const href = `/reference/types/${typeName.toLowerCase()}/`;
+		// `nil` is far more often a value than a type, and not every type has a page yet, e.g. `thread`
+		if(typeName !== 'nil' && !symbols.has(typeName) && await fileExists(`${typesPagesPath}${typeName}.mdx`)) {
+			addSymbol(symbols, typeName, `type ${typeName}`, type.tooltip, href);
+		}
+		for(const func of [...flattenList(type.constructors), ...flattenList(type.methods)]) {
+			const name = func.type?.match(/^function (\w+\.\w+)\(/)?.[1]; // Methods called on values, e.g. `s:sub()`, can't be told apart
+			if(name && !symbols.has(name)) addSymbol(symbols, name, func.type, func.tooltip, href);
+		}
+		for(const [name, constant] of Object.entries(type.constants || {})) {
+			addSymbol(symbols, name, `${name}: ${constant.type || typeName}`, constant.tooltip, href);
+		}
+	}
+
+	for(const [name, constant] of Object.entries(slua.constants)) {
+		if(constant.private) continue;
+		addSymbol(symbols, name, `${name}: ${constant.type} = ${constant.value}`, constant.tooltip, `/reference/constants/#${name}`);
+	}
+
+	for(const [name, event] of Object.entries(slua.events)) {
+		addSymbol(events, name, eventSignature(name, event), event.tooltip, `/reference/events/#${name}`);
+	}
+
+	return { symbols, events };
+}
+
+// Both plugins annotate the same symbols, so the definitions are only parsed once per build
+let sharedSymbols = null;
+function loadSymbols() {
+	return sharedSymbols ??= buildSymbols();
+}
+
+// Columns of each line that are code rather than strings or comments, carrying long strings and comments over to the next lines
+function codeRanges(lines) {
+	let longBracket = null; // The closing `]]` or `]=]` of an open long string or comment
+	return lines.map(text => {
+		const ranges = [];
+		let start = 0;
+		let index = 0;
+		if(longBracket) {
+			const end = text.indexOf(longBracket);
+			if(end === -1) return ranges;
+			index = start = end + longBracket.length;
+			longBracket = null;
+		}
+		while(index < text.length) {
+			const rest = text.slice(index);
+			const long = rest.match(/^(?:--)?\[(=*)\[/);
+			const quote = rest.match(/^["'`]/);
+			if(long) {
+				ranges.push([start, index]);
+				const close = `]${long[1]}]`;
+				const end = text.indexOf(close, index + long[0].length);
+				if(end === -1) {
+					longBracket = close;
+					return ranges;
+				}
+				index = start = end + close.length;
+			}
+			else if(rest.startsWith('--')) {
+				ranges.push([start, index]);
+				return ranges;
+			}
+			else if(quote) {
+				ranges.push([start, index]);
+				let end = index + 1;
+				while(end < text.length && text[end] !== quote[0]) end += text[end] === '\\'? 2 : 1;
+				index = start = end + 1;
+			}
+			else index++;
+		}
+		ranges.push([start, text.length]);
+		return ranges;
+	});
+}
+
+// `{ symbol, columnStart, columnEnd }` for each recognised symbol in the lines of a code block
+export function findSymbols(lines, { symbols, events }) {
+	return codeRanges(lines).map((ranges, lineIndex) => {
+		const found = ranges.flatMap(([from, to]) => {
+			const code = lines[lineIndex].slice(from, to);
+			return [...code.matchAll(/(?<![\w.:])[A-Za-z_]\w*(?:[.:][A-Za-z_]\w*)?/g)]
+				.filter(([name]) => symbols.has(name))
+				.filter(match => !(match[0] === 'type' && /^\s+[A-Za-z_]/.test(code.slice(match.index + 4)))) // The `type` keyword of type aliases
+				.map(match => ({ symbol: symbols.get(match[0]), columnStart: from + match.index, columnEnd: from + match.index + match[0].length }));
+		});
+
+		// The event name is the first argument, after `LLEvents` itself when called with a dot
+		for(const match of lines[lineIndex].matchAll(/\bLLEvents[:.](?:on|once|off|listeners)\s*\((?:\s*LLEvents\s*,)?\s*(["'])(\w+)\1/g)) {
+			const [text, , name] = match;
+			if(!events.has(name)) continue;
+			const columnEnd = match.index + text.length - 1;
+			found.push({ symbol: events.get(name), columnStart: columnEnd - name.length, columnEnd });
+		}
+		return found.sort((a, b) => a.columnStart - b.columnStart);
+	});
+}
+
+class ApiTooltipAnnotation extends ExpressiveCodeAnnotation {
+	constructor({ symbol, ...options }) {
+		super(options);
+		this.symbol = symbol;
+	}
+
+	// Symbols are a single token of the grammar, otherwise only the first part of it gets the tooltip
+	render({ nodesToTransform }) {
+		const { signatures, tooltip, href } = this.symbol;
+		// Linked symbols can already be focused through their link
+		return nodesToTransform.map((node, index) => index? node : h('span.api-symbol', node.tagName === 'a'? {} : { tabindex: 0 }, [
+			node,
+			h('span.api-tooltip', { role: 'tooltip' }, [
+				...signatures.map(signature => h('code', signature)),
+				tooltip && h('span.description', tooltip),
+				h('a', { href }, 'Reference'),
+			].filter(Boolean)),
+		]));
+	}
+}
+
+export function pluginApiTooltips() {
+	const symbols = loadSymbols();
+	return definePlugin({
+		name: 'SLua API tooltips',
+		baseStyles: `
+			.api-symbol {
+				cursor: help;
+			}
+			.api-tooltip {
+				position: fixed;
+				z-index: 10;
+				display: flex;
+				flex-direction: column;
+				gap: 0.25rem;
+				max-width: min(36rem, calc(100vw - 1rem));
+				padding: 0.5rem 0.75rem;
+				border: 1px solid var(--sl-color-gray-5, #444);
+				border-radius: 0.25rem;
+				background: var(--sl-color-black, #111);
+				color: var(--sl-color-white, #eee);
+				font-family: var(--sl-font, sans-serif);
+				font-size: var(--sl-text-sm, 0.875rem);
+				white-space: pre-wrap;
+				user-select: none;
+				visibility: hidden;
+			}
+			.api-tooltip code {
+				font-family: var(--ec-codeFontFml);
+				white-space: pre-wrap;
+			}
+			.api-symbol:hover .api-tooltip,
+			.api-symbol:focus-within .api-tooltip {
+				visibility: visible;
+			}
+		`,
+		// The code block scrolls, which would clip the tooltips, so they are fixed below the symbol instead
+		jsModules: [`
+			function place(symbol) {
+				const tooltip = symbol.querySelector('.api-tooltip');
+				const rect = symbol.getBoundingClientRect();
+				const below = rect.bottom + tooltip.offsetHeight < innerHeight;
+				tooltip.style.left = Math.max(8, Math.min(rect.left, innerWidth - tooltip.offsetWidth - 8)) + 'px';
+				tooltip.style.top = (below? rect.bottom : rect.top - tooltip.offsetHeight) + 'px';
+			}
+			for(const type of ['mouseover', 'focusin']) {
+				document.addEventListener(type, event => {
+					const symbol = event.target.closest?.('.api-symbol');
+					if(symbol && !symbol.contains(event.relatedTarget)) place(symbol);
+				});
+			}
+			addEventListener('scroll', () => document.querySelectorAll('.api-symbol:hover, .api-symbol:focus-within').forEach(place), { passive: true });
+		`],
+		hooks: {
+			annotateCode: async ({ codeBlock }) => {
+				if(!Languages.includes(codeBlock.language)) return;
+				const lines = codeBlock.getLines();
+				const found = findSymbols(lines.map(line => line.text), await symbols);
+				for(const [index, line] of lines.entries()) {
+					for(const { symbol, columnStart, columnEnd } of found[index]) {
+						line.addAnnotation(new ApiTooltipAnnotation({ symbol, inlineRange: { columnStart, columnEnd } }));
+					}
+				}
+			},
+		},
+	});
+}
+
+// Rendered before the tooltips, so that they wrap around the link rather than the other way around
+class ApiLinkAnnotation extends ExpressiveCodeAnnotation {
+	constructor({ href, ...options }) {
+		super({ renderPhase: 'earlier', ...options });
+		this.href = href;
+	}
+
+	render({ nodesToTransform }) {
+		return nodesToTransform.map(node => h('a.api-link', { href: this.href }, node));
+	}
+}
+
+export function pluginApiLinks() {
+	const symbols = loadSymbols();
+	return definePlugin({
+		name: 'SLua API links',
+		baseStyles: `
+			.api-link {
+				color: inherit;
+				text-decoration-color: color-mix(in srgb, currentColor 40%, transparent);
+			}
+		`,
+		hooks: {
+			annotateCode: async ({ codeBlock }) => {
+				if(!Languages.includes(codeBlock.language)) return;
+				if(codeBlock.metaOptions.getBoolean('autolink') === false) return;
+				const lines = codeBlock.getLines();
+				const found = findSymbols(lines.map(line => line.text), await symbols);
+				for(const [index, line] of lines.entries()) {
+					// Links written by hand take precedence, e.g. `ll.\[Rot2Axis](/reference/library/ll/rot2axis)`
+					const linked = line.getAnnotations()
+						.filter(annotation => annotation.href && annotation.inlineRange)
+						.map(({ inlineRange }) => inlineRange);
+					for(const { symbol, columnStart, columnEnd } of found[index]) {
+						if(linked.some(range => range.columnStart < columnEnd && columnStart < range.columnEnd)) continue;
+						line.addAnnotation(new ApiLinkAnnotation({ href: symbol.href, inlineRange: { columnStart, columnEnd } }));
+					}
+				}
+			},
+		},
+	});
+}
@@ -0,0 +1,204 @@
+/*
+	Vite plugin providing trimmed indexes of slua_definitions.yaml for the interactive references
+	- `virtual:ll-index` lists SLua's ll.* functions for LLTable
+	- `virtual:ll-constants` lists the constants for ConstantsTable and BitmaskDecoder, along with the functions that reference them
+		- and when they were added or changed, according to api_history.json
+	- Built at build time, so the references follow whatever the synthesizer decided
+	- Only contains the fields the components render, so the client doesn't have to download the full definitions
+*/
+
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { load } from 'js-yaml';
+import { RemovedFunctions } from '../data/lsl_to_slua.js';
+
+const sluaDefinitionsPath = fileURLToPath(new URL('../data/slua_definitions.yaml', import.meta.url));
+const categoriesPath = fileURLToPath(new URL('../data/ll_categories.json', import.meta.url));
+const apiHistoryPath = fileURLToPath(new URL('../data/api_history.json', import.meta.url));
+
+const modules = {
+	'virtual:ll-index': buildIndex,
+	'virtual:ll-constants': buildConstantsIndex,
+};
+
+// Functions that are removed from ll.* are still listed, with their llcompat signature and the reason why
+export async function buildIndex() {
+	const slua = load(await readFile(sluaDefinitionsPath, 'utf8'));
+	const categories = JSON.parse(await readFile(categoriesPath, 'utf8'));
+	const llFunctions = Object.fromEntries(slua.libraries.ll.functions.map(func => [func.name, func]));
+	
+	return slua.libraries.llcompat.functions
+		.filter(func => categories[func.name]) // Uncategorised functions aren't listed
+		.filter(func => !func['god-mode']) // Not available to residents
+		.map(compatFunc => {
+			const name = compatFunc.name;
+			const func = llFunctions[name] || compatFunc;
+			const item = {
+				name,
+				categories: categories[name],
+				...signature(func),
+				tooltip: func.tooltip?.replace(/\\n/g, '\n').trim() || '', // Tooltips use literal \n for line breaks
+				energy: func.energy ?? null,
+			};
+			if(func.sleep) item.sleep = func.sleep;
+			if(func.traits) item.traits = func.traits;
+			if(func.duplicates) item.duplicates = func.duplicates;
+			if(!llFunctions[name]) item.removed = RemovedFunctions[name] || 'Not available in SLua';
+			
+			// Show the LSL compatible signature alongside, if SLua's differs from it
+			const compat = signature(compatFunc);
+			if(JSON.stringify(compat) !== JSON.stringify(signature(func))) item.compat = compat;
+			
+			return item;
+		});
+}
+
+function signature(func) {
+	const result = {
+		arguments: func.arguments.map(arg => {
+			const [argumentName, argumentDefinition] = Object.entries(arg).pop();
+			return { name: argumentName, type: argumentDefinition.type };
+		}),
+	};
+	if(func.return) result.return = func.return;
+	return result;
+}
+
+// Constants as shown by ConstantsTable, private ones are left out
+// `usedBy` lists the functions whose tooltips mention the constant, either by name or through its prefix, e.g. `PRIM_*`
+export async function buildConstantsIndex() {
+	const slua = load(await readFile(sluaDefinitionsPath, 'utf8'));
+	const functions = slua.libraries.llcompat.functions.filter(func => !func['god-mode']);
+	
+	const mentions = new Map();
+	const prefixMentions = new Map();
+	for(const func of functions)
+	{
+		const text = [func.tooltip, ...func.arguments.map(arg => Object.values(arg).pop().tooltip)].join('\n');
+		for(const [, name, wildcard] of text.matchAll(/\b([A-Z][A-Z0-9_]*[A-Z0-9_])(\*)?/g)) {
+			const map = wildcard? prefixMentions : mentions;
+			if(!map.has(name)) map.set(name, new Set());
+			map.get(name).add(func.name);
+		}
+	}
+	
+	const flagFamilies = inferFlagFamilies(slua.constants);
+	const history = JSON.parse(await readFile(apiHistoryPath, 'utf8')).constants;
+	
+	return Object.entries(slua.constants)
+		.filter(([, constant]) => !constant.private)
+		.map(([name, constant]) => {
+			const usedBy = new Set(mentions.get(name));
+			for(const [prefix, names] of prefixMentions) {
+				if(name.startsWith(prefix)) names.forEach(func => usedBy.add(func));
+			}
+			
+			const item = {
+				name,
+				type: constant.type,
+				...constantValue(constant),
+				tooltip: constant.tooltip?.replace(/\\n/g, '\n').trim() || '',
+				usedBy: [...usedBy].sort(),
+			};
+			if(constant.deprecated) item.deprecated = true;
+			if(flagFamilies[name]) item.flags = flagFamilies[name];
+			
+			// Only the latest of each, like the badges of the generated pages
+			const added = history[name]?.findLast(({ kind }) => kind === 'added');
+			const changed = history[name]?.findLast(({ kind }) => kind === 'changed');
+			if(added) item.since = added.date;
+			if(changed) item.changed = { date: changed.date, before: changed.before };
+			return item;
+		});
+}
+
+// Enumerations that happen to be written in hexadecimal powers of two, but are chosen from rather than combined
+const NotFlags = [
+	'PSYS_SRC_PATTERN_', // One particle pattern at a time
+	'TARGETED_EMAIL_', // One recipient
+];
+
+// Infers which constants are bit flags that can be combined, e.g. CHANGED_* or PERMISSION_*, keyed by name to the prefix of their family
+// - Flags are written in hexadecimal by the LSL definitions, enumerations are not, except for the NotFlags above
+//   - A few flags are written in decimal though, e.g. PERMISSION_RETURN_OBJECTS, so single bits join the family their prefix is already in
+// - A family's values are distinct and mostly powers of two; if a prefix is not a family as a whole, e.g. AGENT_ with AGENT_BY_*,
+//   the more specific families are split off from it first
+function inferFlagFamilies(constants) {
+	const candidates = Object.entries(constants)
+		.filter(([, constant]) => /^(\d+|0x[0-9a-f]+)$/i.test(String(constant.value)) && !constant.deprecated && !constant.private)
+		.filter(([name]) => !NotFlags.some(prefix => name.startsWith(prefix)))
+		.map(([name, constant]) => ({ name, value: Number(constant.value), hex: String(constant.value).startsWith('0x') }));
+	const flags = candidates.filter(({ hex }) => hex);
+	
+	const isPowerOfTwo = value => value > 0 && !(value & (value - 1));
+	const isFamily = members => members.length >= 2
+		&& new Set(members.map(({ value }) => value)).size === members.length
+		&& members.filter(({ value }) => isPowerOfTwo(value)).length >= members.length * 0.75;
+	
+	// Every `_` delimited prefix, most specific first
+	const prefixes = new Set(flags.flatMap(({ name }) => name.split('_').slice(0, -1).map((_, index, parts) => parts.slice(0, index + 1).join('_') + '_')));
+	const families = new Map();
+	for(const prefix of [...prefixes].sort((a, b) => b.length - a.length))
+	{
+		let members = flags.filter(({ name }) => name.startsWith(prefix));
+		if(!isFamily(members)) members = members.filter(({ name }) => ![...families.keys()].some(family => name.startsWith(family)));
+		if(isFamily(members)) families.set(prefix, members);
+	}
+	
+	// Constants belong to the most general family, which is named after the prefix its members have in common, e.g. GAME_CONTROL_BUTTON_
+	const familyOf = {};
+	for(const [, members] of [...families].sort((a, b) => b[0].length - a[0].length)) {
+		let prefix = members[0].name.substring(0, members[0].name.lastIndexOf('_') + 1);
+		while(!members.every(({ name }) => name.startsWith(prefix))) prefix = prefix.replace(/[^_]+_$/, '');
+		for(const { name } of members) familyOf[name] = prefix;
+	}
+	
+	for(const { name, value } of candidates.filter(({ hex, value }) => !hex && isPowerOfTwo(value))) {
+		const family = Object.values(familyOf)
+			.filter(prefix => name.startsWith(prefix))
+			.sort((a, b) => b.length - a.length)[0];
+		const taken = family && Object.entries(familyOf).some(([member, prefix]) => prefix === family && Number(constants[member].value) === value);
+		if(family && !taken) familyOf[name] = family;
+	}
+	return familyOf;
+}
+
+// Values are displayed as SLua literals, integers get their hexadecimal value as well
+// e.g. `0x80` → `{ value: '128', hex: '0x80' }`, `<0.0, 0.0, 1.0>` → `{ value: 'vector(0.0, 0.0, 1.0)' }`
+function constantValue({ type, value }) {
+	const text = String(value);
+	switch(type) {
+		case 'number': {
+			if(!/^(-?\d+|0x[0-9a-f]+)$/i.test(text)) return { value: text };
+			const number = Number(text);
+			return { value: String(number), hex: '0x' + (number >>> 0).toString(16).toUpperCase() };
+		}
+		case 'string':
+			// Escapes are doubled up in the definitions, Luau writes unicode escapes as `\u{...}`
+			return { value: `"${text.replace(/\\\\/g, '\\').replace(/\\u([0-9a-f]{4})/gi, '\\u{$1}')}"` };
+		case 'vector':
+		case 'quaternion':
+			return { value: text.replace(/^<(.*)>$/, `${type}($1)`) };
+		case 'uuid':
+			return { value: `uuid("${text}")` };
+		default:
+			return { value: text };
+	}
+}
+
+export default function llIndex() {
+	return {
+		name: 'll-index',
+		resolveId(id) {
+			if(id in modules) return '\0' + id;
+		},
+		async load(id) {
+			const build = id.startsWith('\0') && modules[id.substring(1)];
+			if(!build) return;
+			this.addWatchFile(sluaDefinitionsPath);
+			this.addWatchFile(categoriesPath);
+			this.addWatchFile(apiHistoryPath);
+			return `export default ${JSON.stringify(await build())};`;
+		},
+	};
+}